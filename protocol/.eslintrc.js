@@ -0,0 +1,20 @@
+module.exports = {
+  root: true,
+  extends: 'eslint:recommended',
+  env: {
+    es2022: true,
+    node: true,
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'module',
+  },
+  overrides: [
+    {
+      files: ['__tests__/**/*.js'],
+      env: {
+        jest: true,
+      },
+    },
+  ],
+};
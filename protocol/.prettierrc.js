@@ -0,0 +1,4 @@
+module.exports = {
+  singleQuote: true,
+  printWidth: 100,
+};
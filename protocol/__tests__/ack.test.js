@@ -0,0 +1,44 @@
+import { decodeChunkAck, decodeChunkRanges, encodeChunkAck, encodeChunkRanges } from '../src/ack';
+
+test('encodes the cumulative point and a bitmap of the chunks past it', () => {
+  const received = [];
+  received[0] = received[1] = received[3] = received[12] = new Uint8Array(1);
+  // Chunk 2 is missing; bits 0 and 9 stand for chunks 3 and 12
+  expect(encodeChunkAck(2, received)).toEqual(Uint8Array.of(0, 0, 0, 2, 0b1, 0b10));
+  expect(decodeChunkAck(encodeChunkAck(2, received))).toEqual({ cumulative: 2, received: [3, 12] });
+});
+
+test('leaves the bitmap off when nothing arrived out of order', () => {
+  expect(encodeChunkAck(5, new Array(5).fill(new Uint8Array(1)))).toEqual(
+    Uint8Array.of(0, 0, 0, 5)
+  );
+});
+
+test.each([
+  ['a truncated ACK', new Uint8Array(3)],
+  ['a bitmap wider than the largest window', new Uint8Array(13)],
+])('rejects %s', (_, bytes) => {
+  expect(() => decodeChunkAck(bytes)).toThrow('Frame error: malformed chunk ACK');
+});
+
+describe('chunk ranges', () => {
+  const received = [];
+  received[0] = received[1] = received[4] = received[5] = received[6] = new Uint8Array(1);
+
+  test('round-trip as [start, end) pairs', () => {
+    expect(decodeChunkRanges(encodeChunkRanges(received, 100))).toEqual([
+      [0, 2],
+      [4, 7],
+    ]);
+  });
+
+  test('list only as many ranges as fit', () => {
+    expect(decodeChunkRanges(encodeChunkRanges(received, 15))).toEqual([[0, 2]]);
+  });
+
+  test('reject an empty range', () => {
+    expect(() => decodeChunkRanges(Uint8Array.of(0, 0, 0, 1, 0, 0, 0, 1))).toThrow(
+      'Frame error: malformed chunk ranges'
+    );
+  });
+});
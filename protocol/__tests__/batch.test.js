@@ -0,0 +1,155 @@
+import nacl from 'tweetnacl';
+import { batchProgress, createBatch, decodeBatch, encodeBatch } from '../src/batch';
+import { ERROR_LINK_LOST, ERROR_SESSION_CLOSED, FRAME_CHUNK } from '../src/constants';
+import { utf8ToBytes } from '../src/encoding';
+import { connect, nextEvent } from './support/sessions';
+
+const batchId = Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8);
+
+const collect = (session, event) => {
+  const events = [];
+  session.on(event, (value) => events.push(value));
+  return events;
+};
+
+describe('batch manifest', () => {
+  const batch = createBatch(
+    [
+      { path: 'Holiday/a.jpg', size: 300, mimeType: 'image/jpeg' },
+      { path: 'Holiday/b.txt', size: 100 },
+    ],
+    batchId
+  );
+
+  test('lists the files and their total size', () => {
+    expect(batch).toEqual({
+      batchId: '0102030405060708',
+      files: [
+        { path: 'Holiday/a.jpg', size: 300, mimeType: 'image/jpeg' },
+        { path: 'Holiday/b.txt', size: 100, mimeType: 'application/octet-stream' },
+      ],
+      size: 400,
+    });
+    expect(decodeBatch(encodeBatch(batch))).toEqual(batch);
+  });
+
+  test.each([
+    ['not JSON', utf8ToBytes('{')],
+    ['a short batch ID', encodeBatch({ ...batch, batchId: '01' })],
+    ['a file without a path', encodeBatch({ ...batch, files: [{ size: 400, mimeType: '' }] })],
+    ['a wrong total size', encodeBatch({ ...batch, size: 401 })],
+  ])('refuses %s', (name, bytes) => {
+    expect(() => decodeBatch(bytes)).toThrow('Malformed batch');
+  });
+
+  test('weights overall progress by file size', () => {
+    expect(batchProgress(batch, 0, 0)).toBe(0);
+    expect(batchProgress(batch, 0, 50)).toBe(38);
+    expect(batchProgress(batch, 1, 0)).toBe(75);
+    expect(batchProgress(batch, 1, 100)).toBe(100);
+    expect(batchProgress(createBatch([{ path: 'a', size: 0 }], batchId), 0, 100)).toBe(100);
+  });
+});
+
+test('sends several files under one batch, keeping their relative paths', async () => {
+  const { sender, receiver } = await connect();
+  const files = [
+    { path: 'Holiday/a.bin', data: nacl.randomBytes(1500) },
+    { path: 'Holiday/sub/b.bin', data: nacl.randomBytes(10) },
+    { path: 'c.bin', data: new Uint8Array(0) },
+  ];
+  const received = collect(receiver, 'file');
+  const announced = nextEvent(receiver, 'batch');
+  const senderOverall = collect(sender, 'batchProgress');
+  const receiverOverall = collect(receiver, 'batchProgress');
+
+  const results = await sender.sendBatch(
+    files.map(({ path, data }) => ({ path, file: { name: path.split('/').pop(), data } }))
+  );
+
+  expect((await announced).files.map(({ path }) => path)).toEqual(files.map(({ path }) => path));
+  expect(results.map(({ path, error }) => [path, error])).toEqual(
+    files.map(({ path }) => [path, undefined])
+  );
+  expect(received.map(({ manifest, data }) => [manifest.path, manifest.index, data])).toEqual(
+    files.map(({ path, data }, index) => [path, index, data])
+  );
+  expect(senderOverall[senderOverall.length - 1]).toEqual({ index: 2, percent: 100, overall: 100 });
+  expect(receiverOverall.map(({ index }) => index)).toContain(1);
+  expect(receiverOverall[receiverOverall.length - 1].overall).toBe(100);
+});
+
+test('a file that fails does not stop the rest of the batch', async () => {
+  const { sender, receiver } = await connect();
+  const unreadable = {
+    name: 'gone.bin',
+    size: 100,
+    read: async () => {
+      throw new Error('File read error: the file was deleted');
+    },
+  };
+  const last = nacl.randomBytes(200);
+  const failed = collect(sender, 'fileFailed');
+  const sent = collect(sender, 'fileSent');
+  const received = collect(receiver, 'file');
+
+  const results = await sender.sendBatch([
+    { path: 'gone.bin', file: unreadable },
+    { path: 'last.bin', file: { name: 'last.bin', data: last } },
+  ]);
+
+  expect(results[0].error.message).toBe('File read error: the file was deleted');
+  expect(results[1].manifest.path).toBe('last.bin');
+  expect(failed.map(({ index, path }) => [index, path])).toEqual([[0, 'gone.bin']]);
+  expect(sent.map(({ index, path }) => [index, path])).toEqual([[1, 'last.bin']]);
+  expect(received.map(({ data }) => data)).toEqual([last]);
+});
+
+test.each([
+  ['losing the link', (link) => link.disconnect(), ERROR_LINK_LOST],
+  ['closing the session', (link, sender) => sender.close(), ERROR_SESSION_CLOSED],
+])('%s ends the batch rather than failing one file', async (name, stop, code) => {
+  let chunksSent = 0;
+  const { link, sender } = await connect(
+    {
+      drop: (packet) => {
+        // Stop when the third chunk of the first file goes out
+        if (packet.from === 'central' && packet.bytes[0] === FRAME_CHUNK && ++chunksSent === 3) {
+          stop(link, sender);
+        }
+        return false;
+      },
+    },
+    { sender: { ackTimeout: 20, maxRetries: 1 } }
+  );
+  sender.on('error', () => {});
+  const failed = collect(sender, 'fileFailed');
+
+  await expect(
+    sender.sendBatch([
+      { path: 'a.bin', file: { name: 'a.bin', data: nacl.randomBytes(2000) } },
+      { path: 'b.bin', file: { name: 'b.bin', data: nacl.randomBytes(10) } },
+    ])
+  ).rejects.toMatchObject({ code });
+  expect(failed).toEqual([]);
+});
+
+test('a manifest claiming a batch it is not listed in is refused', async () => {
+  const { sender, receiver } = await connect(undefined, {
+    sender: { ackTimeout: 20, maxRetries: 1 },
+  });
+  const errors = collect(receiver, 'error');
+  await sender.sendBatch([{ path: 'a.bin', file: { name: 'a.bin', data: nacl.randomBytes(10) } }]);
+
+  // Same batch, but an index the batch manifest does not list
+  const batchId = receiver.batch.batchId;
+  await expect(
+    sender.sendFile(
+      { name: 'b.bin', data: nacl.randomBytes(10) },
+      { batch: { batchId, index: 1, path: 'b.bin' } }
+    )
+  ).rejects.toThrow();
+  expect(errors.map(({ message }) => message)).toContain(
+    'Manifest error: b.bin is not part of the announced batch'
+  );
+});
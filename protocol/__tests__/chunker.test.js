@@ -0,0 +1,26 @@
+import { chunkBytes, maxChunkSize, maxFramePayload } from '../src/chunker';
+
+test('splits bytes into chunks of at most chunkSize bytes', () => {
+  const chunks = chunkBytes(Uint8Array.of(1, 2, 3, 4, 5), 2);
+  expect(chunks).toEqual([Uint8Array.of(1, 2), Uint8Array.of(3, 4), Uint8Array.of(5)]);
+});
+
+test.each([
+  [517, 505, 489],
+  [247, 235, 219],
+  [185, 173, 157],
+])(
+  'an MTU of %i carries %i payload bytes and %i plaintext bytes per chunk',
+  (mtu, payload, chunk) => {
+    expect(maxFramePayload(mtu)).toBe(payload);
+    expect(maxChunkSize(mtu)).toBe(chunk);
+  }
+);
+
+test.each([23, 60, 91])('an MTU of %i is given larger chunks, sent split', (mtu) => {
+  expect(maxChunkSize(mtu)).toBe(240);
+});
+
+test('an MTU with room for 64 plaintext bytes sends chunks whole', () => {
+  expect(maxChunkSize(92)).toBe(64);
+});
@@ -0,0 +1,168 @@
+import nacl from 'tweetnacl';
+import { deflateSync } from 'fflate';
+import { FRAME_CHUNK, READ_BLOCK_SIZE } from '../src/constants';
+import { DeflateSource, inflateBlocks, isCompressedType, transferRates } from '../src/compression';
+import { concatBytes, utf8ToBytes } from '../src/encoding';
+import PartialStore from '../src/PartialStore';
+import { connect, createMemoryFileSystem, nextEvent } from './support/sessions';
+
+// A log file a little over two read blocks long, which deflates well
+const text = utf8ToBytes(
+  Array.from({ length: 4000 }, (_, line) => `${line}: connected, window 8, mtu 185\n`).join('')
+);
+
+const sourceOf = (data, name = 'log.txt', mimeType = 'text/plain') => ({
+  name,
+  mimeType,
+  size: data.length,
+  read: async (offset, length) => data.subarray(offset, offset + length),
+});
+
+const inflate = async (encoded, size) => {
+  const blocks = [];
+  const read = async (offset, length) => encoded.subarray(offset, offset + length);
+  await inflateBlocks(encoded.length, size, read, async (block) => blocks.push(block));
+  return concatBytes(...blocks);
+};
+
+describe('deflate blocks', () => {
+  test('round-trip a file of several blocks', async () => {
+    expect(text.length).toBeGreaterThan(2 * READ_BLOCK_SIZE);
+    const source = new DeflateSource(sourceOf(text));
+    await source.prepare();
+
+    expect(source.offsets).toHaveLength(3);
+    expect(source.size).toBeLessThan(text.length / 4);
+    const encoded = await source.read(0, source.size);
+    expect(await inflate(encoded, text.length)).toEqual(text);
+  });
+
+  test('read the same bytes in any order and in pieces of any size', async () => {
+    const source = new DeflateSource(sourceOf(text));
+    await source.prepare();
+    const whole = await source.read(0, source.size);
+
+    // Back to front, so every block has to be compressed again
+    const pieces = [];
+    for (let offset = Math.floor(source.size / 997) * 997; offset >= 0; offset -= 997) {
+      pieces.unshift(await source.read(offset, 997));
+    }
+    expect(concatBytes(...pieces)).toEqual(whole);
+    expect(await source.read(source.size - 3, 100)).toHaveLength(3);
+  });
+
+  test('refuse streams that are cut short, corrupt or inflate to the wrong size', async () => {
+    const source = new DeflateSource(sourceOf(text));
+    await source.prepare();
+    const encoded = await source.read(0, source.size);
+
+    await expect(inflate(encoded.subarray(0, encoded.length - 5), text.length)).rejects.toThrow(
+      'Malformed compressed data'
+    );
+    const corrupt = encoded.slice();
+    corrupt[10] ^= 0xff;
+    await expect(inflate(corrupt, text.length)).rejects.toThrow('Malformed compressed data');
+    await expect(inflate(encoded, text.length - 1)).rejects.toThrow('Malformed compressed data');
+  });
+
+  test('refuse a block that inflates past the block size', async () => {
+    const deflated = deflateSync(new Uint8Array(READ_BLOCK_SIZE + 1));
+    const block = new Uint8Array(4 + deflated.length);
+    new DataView(block.buffer).setUint32(0, deflated.length);
+    block.set(deflated, 4);
+
+    await expect(inflate(block, READ_BLOCK_SIZE + 1)).rejects.toThrow('Malformed compressed data');
+  });
+});
+
+test('spots formats that are compressed already', () => {
+  expect(isCompressedType('photo.JPG', null)).toBe(true);
+  expect(isCompressedType('archive', 'application/zip')).toBe(true);
+  expect(isCompressedType('clip', 'video/mp4')).toBe(true);
+  expect(isCompressedType('notes.txt', 'text/plain')).toBe(false);
+});
+
+test('reports throughput over the air and of the file itself', () => {
+  const manifest = { size: 40000, compressedSize: 10000 };
+  expect(transferRates(manifest, 50, 2000)).toEqual({ raw: 2500, effective: 10000 });
+  expect(transferRates({ size: 40000 }, 100, 4000)).toEqual({ raw: 10000, effective: 10000 });
+});
+
+// Sessions that count the chunk frames the sender writes
+const connectCounting = async (sessionOptions) => {
+  const counts = { chunks: 0 };
+  const sessions = await connect(
+    {
+      drop: (packet) => {
+        counts.chunks += packet.from === 'central' && packet.bytes[0] === FRAME_CHUNK ? 1 : 0;
+        return false;
+      },
+    },
+    sessionOptions
+  );
+  return { ...sessions, counts };
+};
+
+describe('compressed transfers', () => {
+  test('text goes deflated when both ends support it', async () => {
+    const { sender, receiver, counts } = await connectCounting();
+    expect(sender.compressionAgreed).toBe(true);
+    expect(receiver.compressionAgreed).toBe(true);
+    const received = nextEvent(receiver, 'file');
+
+    const manifest = await sender.sendFile({ name: 'log.txt', mimeType: 'text/plain', data: text });
+
+    expect(manifest.compression).toBe('deflate');
+    expect(manifest.compressedSize).toBeLessThan(text.length / 4);
+    expect(counts.chunks).toBe(manifest.chunkCount);
+    expect(manifest.chunkCount).toBeLessThan(Math.ceil(text.length / manifest.chunkSize) / 4);
+    const file = await received;
+    expect(file.data).toEqual(text);
+    expect(file.manifest.size).toBe(text.length);
+  });
+
+  test('images and data deflate would not shrink go as they are', async () => {
+    const { sender, receiver } = await connectCounting();
+    const received = [];
+    receiver.on('file', ({ data }) => received.push(data));
+
+    const photo = await sender.sendFile({ name: 'a.jpg', mimeType: 'image/jpeg', data: text });
+    const noise = nacl.randomBytes(3000);
+    const random = await sender.sendFile({ name: 'a.bin', data: noise });
+
+    expect(photo.compression).toBeUndefined();
+    expect(random.compression).toBeUndefined();
+    expect(received).toEqual([text, noise]);
+  });
+
+  test.each([['sender'], ['receiver']])(
+    'a %s with compression off gets plain files',
+    async (side) => {
+      const { sender, receiver } = await connectCounting({ [side]: { compression: false } });
+      expect(sender.compressionAgreed).toBe(false);
+      const received = nextEvent(receiver, 'file');
+
+      const manifest = await sender.sendFile({ name: 'log.txt', data: text });
+
+      expect(manifest.compression).toBeUndefined();
+      expect((await received).data).toEqual(text);
+    }
+  );
+
+  test('a compressed file written to disk is inflated into place', async () => {
+    const fs = createMemoryFileSystem();
+    const partials = new PartialStore(fs, '/partial');
+    const destination = () => '/saved/log.txt';
+    const { sender, receiver } = await connectCounting({
+      receiver: { partials, destination },
+    });
+    const received = nextEvent(receiver, 'file');
+
+    const manifest = await sender.sendFile({ name: 'log.txt', data: text });
+
+    expect(manifest.compression).toBe('deflate');
+    expect((await received).path).toBe('/saved/log.txt');
+    expect([...fs.files.keys()]).toEqual(['/saved/log.txt']);
+    expect(fs.files.get('/saved/log.txt')).toEqual(text);
+  });
+});
@@ -0,0 +1,131 @@
+import nacl from 'tweetnacl';
+import {
+  decrypt,
+  deriveSessionKeys,
+  deriveSharedSecret,
+  encrypt,
+  frameNonce,
+  generateEphemeralKeyPair,
+  handshakeTranscript,
+  shortAuthenticationString,
+  transferNonceBase,
+} from '../src/crypto';
+import { utf8ToBytes } from '../src/encoding';
+
+describe('key exchange', () => {
+  const sender = generateEphemeralKeyPair();
+  const receiver = generateEphemeralKeyPair();
+  const senderKeys = deriveSessionKeys(
+    deriveSharedSecret(receiver.publicKey, sender.secretKey),
+    sender.publicKey,
+    receiver.publicKey
+  );
+  const receiverKeys = deriveSessionKeys(
+    deriveSharedSecret(sender.publicKey, receiver.secretKey),
+    sender.publicKey,
+    receiver.publicKey
+  );
+
+  test('both ends derive the same keys', () => {
+    expect(receiverKeys).toEqual(senderKeys);
+  });
+
+  test('derives a separate 256-bit key per direction and for confirmation', () => {
+    const { senderToReceiver, receiverToSender, confirm } = senderKeys;
+    expect(senderToReceiver).toHaveLength(32);
+    expect(senderToReceiver).not.toEqual(receiverToSender);
+    expect(confirm).not.toEqual(senderToReceiver);
+    expect(confirm).not.toEqual(receiverToSender);
+  });
+
+  test('binds the keys to the order of the public keys', () => {
+    const swapped = deriveSessionKeys(
+      deriveSharedSecret(receiver.publicKey, sender.secretKey),
+      receiver.publicKey,
+      sender.publicKey
+    );
+    expect(swapped.senderToReceiver).not.toEqual(senderKeys.senderToReceiver);
+  });
+
+  test('rejects a malformed peer public key', () => {
+    const { secretKey } = generateEphemeralKeyPair();
+    expect(() => deriveSharedSecret(new Uint8Array(16), secretKey)).toThrow(
+      'Invalid peer public key'
+    );
+  });
+
+  test('rejects a low-order peer public key', () => {
+    const { secretKey } = generateEphemeralKeyPair();
+    expect(() => deriveSharedSecret(new Uint8Array(32), secretKey)).toThrow(
+      'Invalid peer public key'
+    );
+  });
+});
+
+describe('AES-GCM', () => {
+  const key = nacl.randomBytes(32);
+  const nonce = nacl.randomBytes(12);
+
+  test('decrypts what it encrypts', () => {
+    const plaintext = utf8ToBytes('hello over BLE');
+    expect(decrypt(key, nonce, encrypt(key, nonce, plaintext))).toEqual(plaintext);
+  });
+
+  test('adds only the tag to the plaintext', () => {
+    expect(encrypt(key, nonce, new Uint8Array(100))).toHaveLength(116);
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const sealed = encrypt(key, nonce, utf8ToBytes('hello over BLE'));
+    sealed[sealed.length - 1] ^= 0x01;
+    expect(() => decrypt(key, nonce, sealed)).toThrow('Decryption error');
+  });
+
+  test('rejects the wrong key', () => {
+    const sealed = encrypt(key, nonce, utf8ToBytes('hello over BLE'));
+    expect(() => decrypt(nacl.randomBytes(32), nonce, sealed)).toThrow('Decryption error');
+  });
+
+  test('rejects the wrong nonce', () => {
+    const sealed = encrypt(key, nonce, utf8ToBytes('hello over BLE'));
+    expect(() => decrypt(key, nacl.randomBytes(12), sealed)).toThrow('Decryption error');
+  });
+});
+
+describe('frame nonces', () => {
+  const nonceKey = nacl.randomBytes(32);
+  const base = transferNonceBase(nonceKey, nacl.randomBytes(8));
+
+  test('are the same on both ends for the same frame', () => {
+    expect(frameNonce(base, 2, 7)).toEqual(frameNonce(base, 2, 7));
+  });
+
+  test('differ by sequence number, frame type and subtype', () => {
+    const nonces = [frameNonce(base, 2, 0), frameNonce(base, 2, 1), frameNonce(base, 3, 0)];
+    nonces.push(frameNonce(base, 3, 0, 2));
+    expect(new Set(nonces.map((nonce) => nonce.join()))).toHaveProperty('size', 4);
+  });
+
+  test('differ between transfers', () => {
+    const other = transferNonceBase(nonceKey, nacl.randomBytes(8));
+    expect(frameNonce(other, 2, 0)).not.toEqual(frameNonce(base, 2, 0));
+  });
+});
+
+describe('short authentication string', () => {
+  test('is six decimal digits derived from the transcript', () => {
+    const transcript = nacl.randomBytes(32);
+    const sas = shortAuthenticationString(transcript);
+    expect(sas).toMatch(/^\d{6}$/);
+    expect(shortAuthenticationString(transcript)).toBe(sas);
+  });
+
+  test('differs when the handshake keys differ', () => {
+    const { publicKey: a } = generateEphemeralKeyPair();
+    const { publicKey: b } = generateEphemeralKeyPair();
+    const { publicKey: c } = generateEphemeralKeyPair();
+    expect(shortAuthenticationString(handshakeTranscript(a, b))).not.toBe(
+      shortAuthenticationString(handshakeTranscript(a, c))
+    );
+  });
+});
@@ -0,0 +1,48 @@
+import { availableFileName, sanitizeFileName, sanitizeRelativePath } from '../src/filenames';
+
+test.each([
+  ['report.pdf', 'application/pdf', 'report.pdf'],
+  ['../../etc/passwd', 'text/plain', 'passwd.txt'],
+  ['C:\\Users\\me\\photo.jpg', 'image/jpeg', 'photo.jpg'],
+  ['a<b>:c"d|e?f*.txt', 'text/plain', 'a_b__c_d_e_f_.txt'],
+  ['line\nbreak.png', 'image/png', 'line_break.png'],
+  ['.hidden', 'text/plain', 'hidden.txt'],
+  ['..', 'application/pdf', 'received_file.pdf'],
+  ['', 'application/octet-stream', 'received_file'],
+  ['trailing. . ', 'text/plain', 'trailing.txt'],
+  ['CON.txt', 'text/plain', '_CON.txt'],
+  ['scan', 'image/png', 'scan.png'],
+  ['archive.tar.gz', 'application/gzip', 'archive.tar.gz'],
+])('%j saved as %s is named %j', (name, mimeType, expected) => {
+  expect(sanitizeFileName(name, mimeType)).toBe(expected);
+});
+
+test('keeps long names within the length limit and their extension', () => {
+  const name = sanitizeFileName(`${'x'.repeat(300)}.pdf`, 'application/pdf');
+  expect(name.length).toBe(200);
+  expect(name.endsWith('x.pdf')).toBe(true);
+});
+
+test('keeps the folders of a relative path inside the receiving folder', () => {
+  expect(sanitizeRelativePath('Holiday/Day 1/beach.jpg', 'image/jpeg')).toEqual({
+    directories: ['Holiday', 'Day 1'],
+    name: 'beach.jpg',
+  });
+  expect(sanitizeRelativePath('../../a/./b:c/scan', 'image/png')).toEqual({
+    directories: ['a', 'b_c'],
+    name: 'scan.png',
+  });
+  expect(sanitizeRelativePath('/notes.txt', 'text/plain')).toEqual({
+    directories: [],
+    name: 'notes.txt',
+  });
+});
+
+test('suffixes a name that is already taken', async () => {
+  const taken = new Set(['/docs/report.pdf', '/docs/report (1).pdf', '/docs/notes']);
+  const exists = async (path) => taken.has(path);
+
+  expect(await availableFileName('/docs', 'report.pdf', exists)).toBe('report (2).pdf');
+  expect(await availableFileName('/docs', 'notes', exists)).toBe('notes (1)');
+  expect(await availableFileName('/docs', 'new.txt', exists)).toBe('new.txt');
+});
@@ -0,0 +1,83 @@
+import nacl from 'tweetnacl';
+import {
+  FLAG_MORE_FRAGMENTS,
+  FRAME_CHUNK,
+  FRAME_HANDSHAKE_FAILED,
+  FRAME_HELLO,
+  PROTOCOL_VERSION,
+} from '../src/constants';
+import { FRAME_HEADER_SIZE, decodeFrame, encodeFrame } from '../src/frame';
+
+test('lays out the header big-endian in front of the payload', () => {
+  const bytes = encodeFrame({
+    type: FRAME_CHUNK,
+    seq: 0x01020304,
+    flags: FLAG_MORE_FRAGMENTS,
+    payload: Uint8Array.of(0xaa, 0xbb),
+  });
+  expect(bytes).toEqual(
+    Uint8Array.of(FRAME_CHUNK, PROTOCOL_VERSION, 1, 2, 3, 4, FLAG_MORE_FRAGMENTS, 0, 2, 0xaa, 0xbb)
+  );
+});
+
+test.each([
+  ['an empty payload', { type: 0x03, payload: new Uint8Array(0) }],
+  [
+    'the largest sequence number',
+    { type: FRAME_CHUNK, seq: 0xffffffff, payload: nacl.randomBytes(16) },
+  ],
+  [
+    'flags and a full-MTU payload',
+    { type: 0x01, seq: 7, flags: 0xff, payload: nacl.randomBytes(505) },
+  ],
+])('round-trips %s', (_, frame) => {
+  const decoded = decodeFrame(encodeFrame(frame));
+  expect(decoded).toEqual({
+    type: frame.type,
+    version: PROTOCOL_VERSION,
+    seq: frame.seq || 0,
+    flags: frame.flags || 0,
+    payload: frame.payload,
+  });
+});
+
+test('decodes a frame that is a view into a larger buffer', () => {
+  const encoded = encodeFrame({ type: FRAME_CHUNK, seq: 9, payload: Uint8Array.of(1, 2, 3) });
+  const buffer = new Uint8Array(encoded.length + 4);
+  buffer.set(encoded, 4);
+  expect(decodeFrame(buffer.subarray(4)).seq).toBe(9);
+});
+
+test.each([
+  ['a truncated header', new Uint8Array(FRAME_HEADER_SIZE - 1), 'truncated header'],
+  [
+    'another protocol version',
+    Uint8Array.of(FRAME_CHUNK, PROTOCOL_VERSION + 1, 0, 0, 0, 0, 0, 0, 0),
+    'unsupported version ' + (PROTOCOL_VERSION + 1),
+  ],
+  [
+    'a length that does not match',
+    Uint8Array.of(FRAME_CHUNK, PROTOCOL_VERSION, 0, 0, 0, 0, 0, 0, 5, 1, 2),
+    'length mismatch',
+  ],
+])('refuses %s', (_, bytes, message) => {
+  expect(() => decodeFrame(bytes)).toThrow('Frame error: ' + message);
+});
+
+test('writes the version it is given', () => {
+  expect(encodeFrame({ type: FRAME_CHUNK, version: 2 })[1]).toBe(2);
+});
+
+test.each([
+  ['a hello', FRAME_HELLO],
+  ['a handshake refusal', FRAME_HANDSHAKE_FAILED],
+])('reads %s whatever version its header gives', (_, type) => {
+  const bytes = encodeFrame({ type, version: PROTOCOL_VERSION + 1, payload: Uint8Array.of(6) });
+  expect(decodeFrame(bytes)).toMatchObject({ type, version: PROTOCOL_VERSION + 1 });
+});
+
+test('refuses payloads the length field cannot describe', () => {
+  expect(() => encodeFrame({ type: FRAME_CHUNK, payload: new Uint8Array(0x10000) })).toThrow(
+    'Frame error: payload of 65536 bytes is too long'
+  );
+});
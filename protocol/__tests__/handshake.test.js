@@ -0,0 +1,170 @@
+import { generateEphemeralKeyPair } from '../src/crypto';
+import { FRAME_HEADER_SIZE, encodeFrame } from '../src/frame';
+import {
+  CHANNEL_HANDSHAKE,
+  ERROR_LINK_LOST,
+  FRAME_KEY_CONFIRM,
+  FRAME_MANIFEST,
+  FRAME_PUBLIC_KEY,
+  FRAME_SAS_CONFIRMED,
+} from '../src/constants';
+import { createSessions, nextEvent } from './support/sessions';
+
+// Rewrite handshake frames of one type on their way out of a transport
+const interceptHandshake = (transport, type, rewrite) => {
+  const send = transport.send.bind(transport);
+  transport.send = (channel, bytes) =>
+    send(channel, channel === CHANNEL_HANDSHAKE && bytes[0] === type ? rewrite(bytes) : bytes);
+};
+
+const replaceWithAttackerKey = () =>
+  encodeFrame({ type: FRAME_PUBLIC_KEY, payload: generateEphemeralKeyPair().publicKey });
+
+const flipFirstPayloadBit = (bytes) => {
+  const tampered = bytes.slice();
+  tampered[FRAME_HEADER_SIZE] ^= 0x01;
+  return tampered;
+};
+
+describe('key confirmation', () => {
+  test('both ends confirm the keys and agree on the SAS', async () => {
+    const { sender, receiver } = createSessions();
+    const receiverSecure = nextEvent(receiver, 'secure');
+
+    receiver.start();
+    const sas = await sender.start();
+
+    expect(sas).toMatch(/^\d{6}$/);
+    expect(await receiverSecure).toBe(sas);
+    expect(sender.isSecure).toBe(true);
+    expect(receiver.isSecure).toBe(true);
+  });
+
+  test('a substituted receiver public key fails the handshake on both ends', async () => {
+    const { sender, receiver, receiverTransport } = createSessions();
+    // Someone relaying the link swaps the receiver's public key for their own, so the sender's
+    // signed transcript no longer matches the receiver's
+    interceptHandshake(receiverTransport, FRAME_PUBLIC_KEY, replaceWithAttackerKey);
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow(
+      'Handshake failed: receiver reported identity signature invalid'
+    );
+    expect((await receiverFailure).message).toBe('Handshake failed: identity signature invalid');
+    expect(sender.isSecure).toBe(false);
+    expect(receiver.isSecure).toBe(false);
+  });
+
+  test('a sender public key that does not match its commitment is refused', async () => {
+    const { sender, receiver, senderTransport } = createSessions();
+    interceptHandshake(senderTransport, FRAME_PUBLIC_KEY, replaceWithAttackerKey);
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow(
+      'Handshake failed: receiver reported public key does not match its commitment'
+    );
+    expect((await receiverFailure).message).toBe(
+      'Handshake failed: public key does not match its commitment'
+    );
+  });
+
+  test('a tampered receiver confirmation fails the handshake on both ends', async () => {
+    const { sender, receiver, receiverTransport } = createSessions();
+    interceptHandshake(receiverTransport, FRAME_KEY_CONFIRM, flipFirstPayloadBit);
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow('Handshake failed: key confirmation mismatch');
+    expect((await receiverFailure).message).toBe(
+      'Handshake failed: sender reported key confirmation mismatch'
+    );
+  });
+});
+
+describe('short authentication string', () => {
+  const handshake = async () => {
+    const sessions = createSessions();
+    sessions.receiver.start();
+    await sessions.sender.start();
+    return sessions;
+  };
+
+  test('the session is verified only once both users confirm', async () => {
+    const { sender, receiver } = await handshake();
+    const senderVerified = nextEvent(sender, 'verified');
+
+    await sender.confirmSas(true);
+    expect(sender.isVerified).toBe(false);
+    await expect(sender.sendFile({ name: 'a.txt', data: new Uint8Array(1) })).rejects.toThrow(
+      'Receiver not verified'
+    );
+
+    await receiver.confirmSas(true);
+    await senderVerified;
+    expect(sender.isVerified).toBe(true);
+  });
+
+  test('a user reporting different codes aborts the handshake on both ends', async () => {
+    const { sender, receiver } = await handshake();
+    const senderFailure = nextEvent(sender, 'handshakeFailed');
+
+    await receiver.confirmSas(false);
+
+    expect((await senderFailure).message).toBe(
+      'Handshake failed: receiver reported short authentication strings do not match'
+    );
+    expect(sender.isSecure).toBe(false);
+    expect(receiver.isSecure).toBe(false);
+  });
+
+  test('a forged SAS confirmation is rejected', async () => {
+    const { sender, receiver, senderTransport } = await handshake();
+    const errors = [];
+    receiver.on('error', (err) => errors.push(err.message));
+    await senderTransport.send(
+      CHANNEL_HANDSHAKE,
+      encodeFrame({ type: FRAME_SAS_CONFIRMED, payload: new Uint8Array(32) })
+    );
+    await receiver.confirmSas(true);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(errors).toContain('Invalid SAS confirmation');
+    expect(receiver.isVerified).toBe(false);
+    expect(sender.isVerified).toBe(false);
+  });
+
+  test('the receiver refuses transfer frames until the sender is verified', async () => {
+    const { sender, receiver } = await handshake();
+    const errors = [];
+    receiver.on('error', (err) => errors.push(err.message));
+
+    await sender.sendFrame(FRAME_MANIFEST, new Uint8Array(8));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(errors).toContain('Frame received before the sender was verified');
+  });
+});
+
+test('a link lost mid-handshake fails it with ERROR_LINK_LOST', async () => {
+  let link;
+  const sessions = createSessions({
+    drop: (packet) => {
+      // Cut the link just as the receiver's public key goes out
+      if (packet.from === 'peripheral' && packet.bytes[0] === FRAME_PUBLIC_KEY) {
+        link.disconnect();
+        return true;
+      }
+      return false;
+    },
+  });
+  ({ link } = sessions);
+  const { sender, receiver } = sessions;
+  sender.on('error', () => {});
+  receiver.on('error', () => {});
+  receiver.start();
+
+  await expect(sender.start()).rejects.toMatchObject({ code: ERROR_LINK_LOST });
+  expect(sender.isSecure).toBe(false);
+});
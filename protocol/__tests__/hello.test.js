@@ -0,0 +1,232 @@
+import {
+  CHANNEL_HANDSHAKE,
+  CIPHER_AES_256_GCM,
+  FEATURE_COMPRESSION,
+  FEATURE_RESUME,
+  FRAME_HANDSHAKE_FAILED,
+  FRAME_HELLO,
+  MAX_WINDOW_SIZE,
+  PROTOCOL_VERSION,
+} from '../src/constants';
+import { FRAME_HEADER_SIZE } from '../src/frame';
+import { createHello, decodeHello, encodeHello, negotiate } from '../src/hello';
+import PartialStore from '../src/PartialStore';
+import { connect, createMemoryFileSystem, createSessions, nextEvent } from './support/sessions';
+
+const hello = (changes = {}) => ({
+  minVersion: 1,
+  maxVersion: 1,
+  ciphers: CIPHER_AES_256_GCM,
+  features: FEATURE_COMPRESSION | FEATURE_RESUME,
+  maxWindowSize: 64,
+  ...changes,
+});
+
+describe('hello', () => {
+  test('round-trips, and leaves fields a later version adds for it to read', () => {
+    const ours = createHello(FEATURE_COMPRESSION, 32);
+    expect(decodeHello(encodeHello(ours))).toEqual(ours);
+
+    const longer = Uint8Array.of(8, ...encodeHello(ours).subarray(1), 0xaa, 0xbb);
+    expect(decodeHello(longer)).toEqual(ours);
+  });
+
+  test('refuses a hello cut short or of another length than it says', () => {
+    expect(() => decodeHello(Uint8Array.of(3, 1, 1))).toThrow('malformed hello');
+    expect(() => decodeHello(Uint8Array.of(9, 1, 1, 1, 1, 1))).toThrow('malformed hello');
+  });
+
+  test('settles on the newest version, best cipher and smaller window both have', () => {
+    const ours = hello({ maxVersion: 3, ciphers: 0b011, maxWindowSize: 64 });
+    const theirs = hello({
+      minVersion: 2,
+      maxVersion: 4,
+      ciphers: 0b110,
+      features: FEATURE_RESUME,
+      maxWindowSize: 16,
+    });
+
+    expect(negotiate(ours, theirs)).toEqual({
+      version: 3,
+      cipher: 0b010,
+      windowSize: 16,
+      features: FEATURE_RESUME,
+    });
+    expect(negotiate(theirs, ours)).toEqual(negotiate(ours, theirs));
+  });
+
+  test('finds nothing in common with a peer of other versions or ciphers', () => {
+    expect(() => negotiate(hello(), hello({ minVersion: 2, maxVersion: 3 }))).toThrow(
+      'no protocol version in common (this app speaks 1, the other 2 to 3); update the older app'
+    );
+    expect(() => negotiate(hello(), hello({ ciphers: 0b100 }))).toThrow('no cipher in common');
+    expect(() => negotiate(hello(), hello({ maxWindowSize: 0 }))).toThrow(
+      'the other app takes no chunks in flight'
+    );
+  });
+});
+
+// Rewrite hellos on their way out of a transport
+const interceptHello = (transport, rewrite) => {
+  const send = transport.send.bind(transport);
+  transport.send = (channel, bytes) =>
+    send(
+      channel,
+      channel === CHANNEL_HANDSHAKE && bytes[0] === FRAME_HELLO
+        ? Uint8Array.of(
+            ...bytes.subarray(0, FRAME_HEADER_SIZE),
+            ...rewrite(bytes.slice(FRAME_HEADER_SIZE))
+          )
+        : bytes
+    );
+};
+
+// Have a transport write its hellos and refusals in the header `version`, as a newer app
+// would before any version is agreed, and note the version of every frame it writes
+const writeHelloIn = (transport, version) => {
+  const versions = [];
+  const send = transport.send.bind(transport);
+  transport.send = (channel, bytes) => {
+    const rewritten = bytes.slice();
+    if (bytes[0] === FRAME_HELLO || bytes[0] === FRAME_HANDSHAKE_FAILED) {
+      rewritten[1] = version;
+    }
+    versions.push(rewritten[1]);
+    return send(channel, rewritten);
+  };
+  return versions;
+};
+
+describe('negotiation in the handshake', () => {
+  test('both ends settle on the same features and window', async () => {
+    const fs = createMemoryFileSystem();
+    const { sender, receiver } = createSessions(undefined, {
+      sender: { maxWindowSize: 16 },
+      receiver: { partials: new PartialStore(fs, '/partial'), destination: () => '/a' },
+    });
+
+    receiver.start();
+    await sender.start();
+
+    const agreed = {
+      version: PROTOCOL_VERSION,
+      cipher: CIPHER_AES_256_GCM,
+      windowSize: 16,
+      features: FEATURE_COMPRESSION | FEATURE_RESUME,
+    };
+    expect(sender.agreement).toEqual(agreed);
+    expect(receiver.agreement).toEqual(agreed);
+    expect(sender.resumeAgreed).toBe(true);
+  });
+
+  test('a receiver that keeps nothing between sessions does not offer to resume', async () => {
+    const { sender, receiver } = createSessions(undefined, { sender: { compression: false } });
+
+    receiver.start();
+    await sender.start();
+
+    expect(sender.agreement.features).toBe(0);
+    expect(sender.agreement.windowSize).toBe(MAX_WINDOW_SIZE);
+    expect(sender.resumeAgreed).toBe(false);
+    expect(receiver.compressionAgreed).toBe(false);
+  });
+
+  test('a peer with no version in common is refused by both ends', async () => {
+    const { sender, receiver } = createSessions();
+    const newer = encodeHello(hello({ minVersion: 2, maxVersion: 3 }));
+    receiver.hello = () => newer;
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow(
+      'Handshake failed: incompatible receiver: no protocol version in common (this app ' +
+        'speaks 1, the other 2 to 3); update the older app'
+    );
+    expect((await receiverFailure).message).toBe(
+      'Handshake failed: incompatible sender: no protocol version in common (this app ' +
+        'speaks 2 to 3, the other 1); update the older app'
+    );
+    expect(sender.isSecure).toBe(false);
+    expect(receiver.isSecure).toBe(false);
+  });
+
+  test('a newer receiver, its hello in a version 2 header, is spoken to in version 1', async () => {
+    const { sender, receiver, senderTransport, receiverTransport } = createSessions();
+    const newer = encodeHello(hello({ maxVersion: 2 }));
+    receiver.hello = () => newer;
+    const receiverVersions = writeHelloIn(receiverTransport, 2);
+    const senderVersions = writeHelloIn(senderTransport, PROTOCOL_VERSION);
+    const verified = Promise.all([nextEvent(sender, 'verified'), nextEvent(receiver, 'verified')]);
+    const received = nextEvent(receiver, 'file');
+
+    receiver.start();
+    await sender.start();
+    await Promise.all([sender.confirmSas(true), receiver.confirmSas(true)]);
+    await verified;
+    const data = Uint8Array.of(1, 2, 3);
+    await sender.sendFile({ name: 'a.bin', data });
+
+    expect(sender.agreement.version).toBe(1);
+    expect(receiver.agreement.version).toBe(1);
+    expect((await received).data).toEqual(data);
+    // Only the receiver's hello went in version 2
+    expect(receiverVersions[0]).toBe(2);
+    expect(receiverVersions.slice(1).every((version) => version === 1)).toBe(true);
+    expect(senderVersions.every((version) => version === 1)).toBe(true);
+  });
+
+  test('a receiver that speaks only version 2 is refused for that, not for lacking a hello', async () => {
+    const { sender, receiver, receiverTransport } = createSessions();
+    const newer = encodeHello(hello({ minVersion: 2, maxVersion: 2 }));
+    receiver.hello = () => newer;
+    writeHelloIn(receiverTransport, 2);
+    const errors = [];
+    sender.on('error', (err) => errors.push(err.message));
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow(
+      'Handshake failed: incompatible receiver: no protocol version in common (this app ' +
+        'speaks 1, the other 2); update the older app'
+    );
+    expect(errors).toEqual([]);
+  });
+
+  test('nothing is encrypted without AES-256-GCM agreed', async () => {
+    const { sender } = await connect();
+    sender.agreement = { ...sender.agreement, cipher: 0x02 };
+
+    await expect(sender.sendFile({ name: 'a.bin', data: Uint8Array.of(1) })).rejects.toThrow(
+      'Encryption error: AES-256-GCM was not agreed'
+    );
+  });
+
+  test('a sender from before hellos is told why it is refused', async () => {
+    // The link loses the sender's hello, as if it never sent one
+    const { sender, receiver } = createSessions({
+      drop: (packet) => packet.from === 'central' && packet.bytes[0] === FRAME_HELLO,
+    });
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow(
+      'Handshake failed: receiver reported no protocol version or cipher in common'
+    );
+    expect((await receiverFailure).message).toBe(
+      'Handshake failed: incompatible sender: it sent no hello; update the older app'
+    );
+  });
+
+  test('a hello stripped of features on the way fails the handshake', async () => {
+    const { sender, receiver, receiverTransport } = createSessions();
+    // Someone relaying the link hides the receiver's support for compression
+    interceptHello(receiverTransport, (payload) => {
+      payload[4] &= ~FEATURE_COMPRESSION;
+      return payload;
+    });
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow('Handshake failed');
+    expect(sender.isSecure).toBe(false);
+    expect(receiver.isSecure).toBe(false);
+  });
+});
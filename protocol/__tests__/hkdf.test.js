@@ -0,0 +1,58 @@
+import { hkdf, hkdfExpand, hkdfExtract } from '../src/hkdf';
+import { bytesToHex, hexToBytes } from '../src/encoding';
+
+const range = (from, to) => Uint8Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// RFC 5869 appendix A, test cases 1-3 (HKDF-SHA256)
+const vectors = [
+  {
+    name: 'test case 1: basic',
+    ikm: new Uint8Array(22).fill(0x0b),
+    salt: hexToBytes('000102030405060708090a0b0c'),
+    info: hexToBytes('f0f1f2f3f4f5f6f7f8f9'),
+    length: 42,
+    prk: '077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5',
+    okm: '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865',
+  },
+  {
+    name: 'test case 2: longer inputs and outputs',
+    ikm: range(0x00, 0x4f),
+    salt: range(0x60, 0xaf),
+    info: range(0xb0, 0xff),
+    length: 82,
+    prk: '06a6b88c5853361a06104c9ceb35b45cef760014904671014a193f40c15fc244',
+    okm:
+      'b11e398dc80327a1c8e7f78c596a49344f012eda2d4efad8a050cc4c19afa97c' +
+      '59045a99cac7827271cb41c65e590e09da3275600c2f09b8367793a9aca3db71' +
+      'cc30c58179ec3e87c14c01d5c1f3434f1d87',
+  },
+  {
+    name: 'test case 3: zero-length salt and info',
+    ikm: new Uint8Array(22).fill(0x0b),
+    salt: new Uint8Array(0),
+    info: new Uint8Array(0),
+    length: 42,
+    prk: '19ef24a32c717b167f33a91d6f648bdf96596776afdb6377ac434c1c293ccb04',
+    okm: '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8',
+  },
+];
+
+describe.each(vectors)('RFC 5869 $name', ({ ikm, salt, info, length, prk, okm }) => {
+  test('extract', () => {
+    expect(bytesToHex(hkdfExtract(salt, ikm))).toBe(prk);
+  });
+
+  test('expand', () => {
+    expect(bytesToHex(hkdfExpand(hexToBytes(prk), info, length))).toBe(okm);
+  });
+
+  test('extract then expand', () => {
+    expect(bytesToHex(hkdf(ikm, salt, info, length))).toBe(okm);
+  });
+});
+
+test('refuses to expand beyond 255 blocks', () => {
+  expect(() => hkdfExpand(new Uint8Array(32), new Uint8Array(0), 255 * 32 + 1)).toThrow(
+    'HKDF output length too large'
+  );
+});
@@ -0,0 +1,212 @@
+import { CHANNEL_HANDSHAKE, FRAME_IDENTITY } from '../src/constants';
+import { FRAME_HEADER_SIZE } from '../src/frame';
+import {
+  IDENTITY_STORAGE_KEY,
+  generateIdentity,
+  identityFingerprint,
+  keychainStorage,
+  loadOrCreateIdentity,
+  signFileDigest,
+  signTranscript,
+  verifyFileDigest,
+  verifyTranscriptSignature,
+} from '../src/identity';
+import TrustStore, { TRUST_CHANGED, TRUST_PINNED, TRUST_UNKNOWN } from '../src/TrustStore';
+import { createMemoryStorage, createSessions, nextEvent } from './support/sessions';
+
+const transcript = new Uint8Array(32).fill(7);
+
+describe('identity keys', () => {
+  test('the identity is created once and then loaded from storage', async () => {
+    const storage = createMemoryStorage();
+    const first = await loadOrCreateIdentity(storage);
+    const second = await loadOrCreateIdentity(storage);
+
+    expect(storage.items.has(IDENTITY_STORAGE_KEY)).toBe(true);
+    expect(second.publicKey).toEqual(first.publicKey);
+    expect(second.secretKey).toEqual(first.secretKey);
+  });
+
+  test('an identity kept in plain storage moves to secure storage', async () => {
+    const legacy = createMemoryStorage();
+    const original = await loadOrCreateIdentity(legacy);
+    const secrets = createMemoryStorage();
+
+    const moved = await loadOrCreateIdentity(secrets, legacy);
+
+    expect(moved).toEqual(original);
+    expect(legacy.items.has(IDENTITY_STORAGE_KEY)).toBe(false);
+    expect(await loadOrCreateIdentity(secrets, legacy)).toEqual(original);
+  });
+
+  test('the keychain keeps each item under its own service, on this device only', async () => {
+    const saved = new Map();
+    const keychain = {
+      ACCESSIBLE: { AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'device-only' },
+      getGenericPassword: async ({ service }) => saved.get(service)?.credentials ?? false,
+      setGenericPassword: async (username, password, options) => {
+        saved.set(options.service, { credentials: { username, password }, options });
+        return true;
+      },
+    };
+    const secrets = keychainStorage(keychain);
+
+    expect(await secrets.getItem(IDENTITY_STORAGE_KEY)).toBeNull();
+    const identity = await loadOrCreateIdentity(secrets);
+
+    expect(saved.get(IDENTITY_STORAGE_KEY).options.accessible).toBe('device-only');
+    expect(await loadOrCreateIdentity(secrets)).toEqual(identity);
+  });
+
+  test('transcript signatures are bound to the role and the transcript', () => {
+    const identity = generateIdentity();
+    const signature = signTranscript(identity, 'sender', transcript);
+    const otherTranscript = transcript.slice();
+    otherTranscript[0] ^= 0x01;
+
+    expect(verifyTranscriptSignature(identity.publicKey, 'sender', transcript, signature)).toBe(
+      true
+    );
+    expect(verifyTranscriptSignature(identity.publicKey, 'receiver', transcript, signature)).toBe(
+      false
+    );
+    expect(
+      verifyTranscriptSignature(identity.publicKey, 'sender', otherTranscript, signature)
+    ).toBe(false);
+    expect(
+      verifyTranscriptSignature(generateIdentity().publicKey, 'sender', transcript, signature)
+    ).toBe(false);
+  });
+
+  test('file digest signatures are bound to the transfer and the digest', () => {
+    const identity = generateIdentity();
+    const transferId = new Uint8Array(8).fill(1);
+    const digest = new Uint8Array(32).fill(2);
+    const signature = signFileDigest(identity, transferId, digest);
+    const otherDigest = digest.slice();
+    otherDigest[0] ^= 0x01;
+
+    expect(verifyFileDigest(identity.publicKey, transferId, digest, signature)).toBe(true);
+    expect(verifyFileDigest(identity.publicKey, new Uint8Array(8), digest, signature)).toBe(false);
+    expect(verifyFileDigest(identity.publicKey, transferId, otherDigest, signature)).toBe(false);
+    expect(verifyFileDigest(generateIdentity().publicKey, transferId, digest, signature)).toBe(
+      false
+    );
+  });
+
+  test('fingerprints are eight groups of four hex digits', () => {
+    expect(identityFingerprint(generateIdentity().publicKey)).toMatch(
+      /^([0-9a-f]{4} ){7}[0-9a-f]{4}$/
+    );
+  });
+});
+
+describe('trust store', () => {
+  test('pins, detects changed keys and forgets peers across reloads', async () => {
+    const storage = createMemoryStorage();
+    const { publicKey } = generateIdentity();
+    const store = new TrustStore(storage);
+
+    expect(await store.check('peer-1', publicKey)).toBe(TRUST_UNKNOWN);
+    await store.pin('peer-1', publicKey, 'Pixel');
+
+    const reloaded = new TrustStore(storage);
+    expect(await reloaded.check('peer-1', publicKey)).toBe(TRUST_PINNED);
+    expect(await reloaded.check('peer-1', generateIdentity().publicKey)).toBe(TRUST_CHANGED);
+    expect((await reloaded.get('peer-1')).name).toBe('Pixel');
+
+    await reloaded.forget('peer-1');
+    expect(await new TrustStore(storage).check('peer-1', publicKey)).toBe(TRUST_UNKNOWN);
+  });
+});
+
+describe('pinned peers', () => {
+  const senderIdentity = generateIdentity();
+  const receiverIdentity = generateIdentity();
+  let senderTrust;
+  let receiverTrust;
+
+  const sessionOptions = (receiverKeys = receiverIdentity) => ({
+    sender: { identity: senderIdentity, trustStore: senderTrust, peerId: 'receiver-device' },
+    receiver: { identity: receiverKeys, trustStore: receiverTrust, peerId: 'sender-device' },
+  });
+
+  // Handshake in which users confirm the SAS only if `compare` is set
+  const handshake = async (options, compare) => {
+    const sessions = createSessions(undefined, options);
+    const { sender, receiver } = sessions;
+    const verified = Promise.all([nextEvent(sender, 'verified'), nextEvent(receiver, 'verified')]);
+    receiver.start();
+    await sender.start();
+    if (compare) {
+      await Promise.all([sender.confirmSas(true), receiver.confirmSas(true)]);
+    }
+    return { ...sessions, verified };
+  };
+
+  beforeEach(() => {
+    senderTrust = new TrustStore(createMemoryStorage());
+    receiverTrust = new TrustStore(createMemoryStorage());
+  });
+
+  test('a peer verified once skips the SAS comparison next time', async () => {
+    const first = await handshake(sessionOptions(), true);
+    await first.verified;
+    expect(await senderTrust.check('receiver-device', receiverIdentity.publicKey)).toBe(
+      TRUST_PINNED
+    );
+    expect(await receiverTrust.check('sender-device', senderIdentity.publicKey)).toBe(TRUST_PINNED);
+
+    const second = await handshake(sessionOptions(), false);
+    await second.verified;
+    expect(second.sender.isVerified).toBe(true);
+    expect(second.receiver.isVerified).toBe(true);
+    expect(second.sender.trust).toBe(TRUST_PINNED);
+  });
+
+  test('a changed identity key raises a warning and requires the SAS again', async () => {
+    await (
+      await handshake(sessionOptions(), true)
+    ).verified;
+
+    const impostor = generateIdentity();
+    const sessions = createSessions(undefined, sessionOptions(impostor));
+    const { sender, receiver } = sessions;
+    const identityChanged = nextEvent(sender, 'identityChanged');
+    receiver.start();
+    await sender.start();
+
+    const warning = await identityChanged;
+    expect(warning.trust).toBe(TRUST_CHANGED);
+    expect(warning.fingerprint).toBe(identityFingerprint(impostor.publicKey));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(sender.isVerified).toBe(false);
+    expect(receiver.isVerified).toBe(false);
+
+    // Comparing the SAS again re-pins the new key
+    const verified = Promise.all([nextEvent(sender, 'verified'), nextEvent(receiver, 'verified')]);
+    await Promise.all([sender.confirmSas(true), receiver.confirmSas(true)]);
+    await verified;
+    expect(await senderTrust.check('receiver-device', impostor.publicKey)).toBe(TRUST_PINNED);
+  });
+
+  test('an identity proof signed by the wrong key fails the handshake', async () => {
+    const { sender, receiver, receiverTransport } = createSessions();
+    const send = receiverTransport.send.bind(receiverTransport);
+    receiverTransport.send = (channel, bytes) => {
+      if (channel === CHANNEL_HANDSHAKE && bytes[0] === FRAME_IDENTITY) {
+        const forged = bytes.slice();
+        forged.set(generateIdentity().publicKey, FRAME_HEADER_SIZE);
+        return send(channel, forged);
+      }
+      return send(channel, bytes);
+    };
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow('Handshake failed: identity signature invalid');
+    expect((await receiverFailure).message).toBe(
+      'Handshake failed: sender reported identity signature invalid'
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import nacl from 'tweetnacl';
+import { ERROR_INTEGRITY, FRAME_CHUNK, FRAME_MANIFEST } from '../src/constants';
+import { frameNonce } from '../src/crypto';
+import { concatBytes, hexToBytes } from '../src/encoding';
+import { frameAad } from '../src/frame';
+import { generateIdentity } from '../src/identity';
+import { createManifest, sealManifest } from '../src/manifest';
+import PartialStore from '../src/PartialStore';
+import { connect, createMemoryFileSystem, nextEvent } from './support/sessions';
+
+const collectErrors = (session) => {
+  const errors = [];
+  session.on('error', (err) => errors.push(err.message));
+  return errors;
+};
+
+// Announce `manifest` as it is, skipping the checks SenderSession makes
+const sendManifest = async (sender, manifest) => {
+  const transferId = hexToBytes(manifest.transferId);
+  sender.transfer = sender.transferContext(transferId);
+  const sealed = sealManifest(sender.sendKey, manifest, {
+    nonce: frameNonce(sender.transfer.sendNonceBase, FRAME_MANIFEST, 0),
+    aad: frameAad(transferId, FRAME_MANIFEST, 0),
+  });
+  await sender.sendFrame(FRAME_MANIFEST, concatBytes(transferId, sealed));
+};
+
+const sendChunk = (sender, seq, chunk) =>
+  sender.sendFrame(FRAME_CHUNK, sender.seal(sender.transfer, FRAME_CHUNK, seq, chunk), { seq });
+
+test('a file is handed over only after its signed digest checks out', async () => {
+  const { sender, receiver } = await connect();
+  const events = [];
+  receiver.on('progress', (percent) => events.push(percent));
+  receiver.on('file', () => events.push('file'));
+  const data = nacl.randomBytes(2000);
+
+  const received = nextEvent(receiver, 'file');
+  await sender.sendFile({ name: 'a.bin', data });
+
+  expect((await received).data).toEqual(data);
+  expect(events[events.length - 1]).toBe('file');
+});
+
+test('a digest signed by another identity is rejected and the file discarded', async () => {
+  const fs = createMemoryFileSystem();
+  const { sender, receiver } = await connect(undefined, {
+    receiver: { partials: new PartialStore(fs, '/partial'), destination: () => '/saved/a.bin' },
+  });
+  const errors = collectErrors(receiver);
+  const codes = [];
+  receiver.on('error', (err) => codes.push(err.code));
+  const files = [];
+  receiver.on('file', (file) => files.push(file));
+  // Not the key the receiver verified during the handshake
+  sender.identity = generateIdentity();
+
+  const manifest = nextEvent(sender, 'manifest');
+  const sent = sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(500) });
+  await expect(sent).rejects.toThrow('Integrity error: the receiver rejected transfer');
+  await expect(sent).rejects.toMatchObject({ code: ERROR_INTEGRITY });
+
+  const { transferId } = await manifest;
+  expect(errors).toEqual([
+    `Integrity error: transfer ${transferId} (a.bin) does not match the sender's signed ` +
+      'digest; the file was discarded',
+  ]);
+  expect(codes).toEqual([ERROR_INTEGRITY]);
+  expect(files).toEqual([]);
+  expect(fs.files.size).toBe(0);
+});
+
+test('chunks that do not add up to the announced digest are rejected', async () => {
+  const { sender, receiver } = await connect();
+  const errors = collectErrors(receiver);
+  const files = [];
+  receiver.on('file', (file) => files.push(file));
+  const data = nacl.randomBytes(20);
+  const transferId = nacl.randomBytes(8);
+  const manifest = createManifest({ name: 'a.bin', data }, 10, 2, transferId);
+
+  // Announce one file, then send the chunks of another of the same size
+  await sendManifest(sender, manifest);
+  const other = nacl.randomBytes(20);
+  for (const seq of [0, 1]) {
+    await sendChunk(sender, seq, other.subarray(seq * 10, (seq + 1) * 10));
+  }
+
+  await expect(sender.sendTrailer(manifest)).rejects.toThrow(
+    `Integrity error: the receiver rejected transfer ${manifest.transferId} (a.bin)`
+  );
+  expect(errors).toHaveLength(1);
+  expect(errors[0]).toMatch(`transfer ${manifest.transferId} (a.bin) does not match`);
+  expect(files).toEqual([]);
+});
+
+// Receiver writing to disk, and what it reports
+const connectToDisk = async () => {
+  const fs = createMemoryFileSystem();
+  const sessions = await connect(undefined, {
+    receiver: { partials: new PartialStore(fs, '/partial'), destination: () => '/saved/a.bin' },
+  });
+  return { ...sessions, fs, errors: collectErrors(sessions.receiver) };
+};
+
+// Wait for frames in flight to be handled
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+test('a manifest whose chunks do not add up to its size is refused', async () => {
+  const { sender, receiver, fs, errors } = await connectToDisk();
+  const manifest = {
+    ...createManifest({ name: 'a.bin', data: Uint8Array.of(1) }, 400, 1, nacl.randomBytes(8)),
+    chunkCount: 50,
+  };
+
+  await sendManifest(sender, manifest);
+  await sendChunk(sender, 0, nacl.randomBytes(400));
+  await settle();
+
+  expect(errors).toEqual([
+    'Manifest error: Malformed manifest: 50 chunks of 400 bytes do not hold 1 bytes',
+    'Chunk received before manifest',
+  ]);
+  expect(receiver.manifest).toBeNull();
+  expect(fs.files.size).toBe(0);
+});
+
+test.each([
+  ['longer than the chunk size', 0, 12, 'Chunk 0 is 12 bytes instead of 10'],
+  ['shorter than the chunk size', 1, 9, 'Chunk 1 is 9 bytes instead of 10'],
+  ['the last, longer than what is left', 2, 10, 'Chunk 2 is 10 bytes instead of 5'],
+])('a chunk %s is refused and not written', async (_, seq, length, message) => {
+  const { sender, receiver, fs, errors } = await connectToDisk();
+  const data = nacl.randomBytes(25);
+  await sendManifest(sender, createManifest({ name: 'a.bin', data }, 10, 3, nacl.randomBytes(8)));
+
+  await sendChunk(sender, seq, nacl.randomBytes(length));
+  await settle();
+
+  expect(errors).toEqual([message]);
+  expect(receiver.receivedCount).toBe(0);
+  const [part] = [...fs.files].filter(([path]) => path.endsWith('.part'));
+  expect(part[1]).toHaveLength(0);
+});
@@ -0,0 +1,92 @@
+import { LoopbackLink } from '../src/loopback';
+import { base64ToBytes, bytesToBase64 } from '../src/encoding';
+
+const UUID = 'char';
+
+const collect = (characteristic) => {
+  const values = [];
+  const errors = [];
+  characteristic.monitor((error, value) => {
+    if (error) {
+      errors.push(error.message);
+    } else {
+      values.push(base64ToBytes(value.value)[0]);
+    }
+  });
+  return { values, errors };
+};
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test('delivers writes to the monitors on the other end', async () => {
+  const link = new LoopbackLink([UUID]);
+  const atPeripheral = collect(link.peripheral[UUID]);
+  const atCentral = collect(link.central[UUID]);
+
+  await link.central[UUID].writeWithResponse(bytesToBase64([1]));
+  await link.peripheral[UUID].writeWithoutResponse(bytesToBase64([2]));
+  await settle();
+
+  expect(atPeripheral.values).toEqual([1]);
+  expect(atCentral.values).toEqual([2]);
+});
+
+test('read returns the last value the peer wrote', async () => {
+  const link = new LoopbackLink([UUID]);
+  await link.central[UUID].writeWithResponse(bytesToBase64([7]));
+  expect(await link.peripheral[UUID].read()).toEqual({ uuid: UUID, value: bytesToBase64([7]) });
+  expect((await link.central[UUID].read()).value).toBeNull();
+});
+
+test('rejects writes longer than the MTU allows', async () => {
+  const link = new LoopbackLink([UUID], { mtu: 23 });
+  await expect(
+    link.central[UUID].writeWithResponse(bytesToBase64(new Uint8Array(20)))
+  ).resolves.toBeUndefined();
+  await expect(
+    link.central[UUID].writeWithResponse(bytesToBase64(new Uint8Array(21)))
+  ).rejects.toThrow('Write of 21 bytes exceeds MTU 23');
+  await expect(
+    link.central[UUID].writeWithoutResponse(bytesToBase64(new Uint8Array(21)))
+  ).rejects.toThrow('Write of 21 bytes exceeds MTU 23');
+});
+
+test('drops packets chosen by the drop predicate', async () => {
+  const link = new LoopbackLink([UUID], { drop: (packet) => packet.bytes[0] === 2 });
+  const received = collect(link.peripheral[UUID]);
+
+  for (const value of [1, 2, 3]) {
+    await link.central[UUID].writeWithoutResponse(bytesToBase64([value]));
+  }
+  await settle();
+
+  expect(received.values).toEqual([1, 3]);
+  expect(link.stats).toEqual({ sent: 3, delivered: 2, dropped: 1 });
+});
+
+test('reorders a held packet behind the next one in the same direction', async () => {
+  const link = new LoopbackLink([UUID], { reorder: (packet) => packet.index === 0 });
+  const received = collect(link.peripheral[UUID]);
+
+  for (const value of [1, 2, 3]) {
+    await link.central[UUID].writeWithoutResponse(bytesToBase64([value]));
+  }
+  await settle();
+
+  expect(received.values).toEqual([2, 1, 3]);
+});
+
+test('disconnect errors every monitor and fails later writes', async () => {
+  const link = new LoopbackLink([UUID]);
+  const atCentral = collect(link.central[UUID]);
+  const atPeripheral = collect(link.peripheral[UUID]);
+
+  link.disconnect();
+
+  expect(atCentral.errors).toEqual(['Device disconnected']);
+  expect(atPeripheral.errors).toEqual(['Device disconnected']);
+  await expect(link.central[UUID].writeWithResponse(bytesToBase64([1]))).rejects.toThrow(
+    'Device is not connected'
+  );
+  await expect(link.central[UUID].read()).rejects.toThrow('Device is not connected');
+});
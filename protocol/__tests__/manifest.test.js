@@ -0,0 +1,101 @@
+import nacl from 'tweetnacl';
+import { createManifest, openManifest, sealManifest } from '../src/manifest';
+import { utf8ToBytes } from '../src/encoding';
+
+const file = { name: 'notes.txt', mimeType: 'text/plain', data: utf8ToBytes('abc') };
+const transferId = Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8);
+const nonce = new Uint8Array(12);
+
+test('describes the file', () => {
+  expect(createManifest(file, 180, 1, transferId)).toEqual({
+    transferId: '0102030405060708',
+    name: 'notes.txt',
+    mimeType: 'text/plain',
+    size: 3,
+    chunkSize: 180,
+    chunkCount: 1,
+    sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+  });
+});
+
+test('defaults the MIME type', () => {
+  expect(
+    createManifest({ name: 'blob', data: new Uint8Array(0) }, 180, 0, transferId).mimeType
+  ).toBe('application/octet-stream');
+});
+
+test('round-trips through seal and open', () => {
+  const key = nacl.randomBytes(32);
+  const manifest = createManifest(file, 180, 1, transferId);
+  expect(openManifest(key, sealManifest(key, manifest, { nonce }), { nonce })).toEqual(manifest);
+});
+
+test('rejects a manifest sealed with another key or tampered with', () => {
+  const key = nacl.randomBytes(32);
+  const sealed = sealManifest(nacl.randomBytes(32), createManifest(file, 180, 1, transferId), {
+    nonce,
+  });
+  expect(() => openManifest(key, sealed, { nonce })).toThrow('Decryption error');
+
+  const tampered = sealManifest(key, createManifest(file, 180, 1, transferId), { nonce });
+  tampered[0] ^= 0x01;
+  expect(() => openManifest(key, tampered, { nonce })).toThrow('Decryption error');
+});
+
+test('rejects a manifest without a valid transfer ID', () => {
+  const key = nacl.randomBytes(32);
+  const manifest = { ...createManifest(file, 180, 1, transferId), transferId: 'xyz' };
+  expect(() => openManifest(key, sealManifest(key, manifest, { nonce }), { nonce })).toThrow(
+    'Malformed manifest'
+  );
+});
+
+test('names the compression of a file sent compressed', () => {
+  const key = nacl.randomBytes(32);
+  const manifest = createManifest({ ...file, compressedSize: 11 }, 180, 1, transferId);
+  expect(manifest).toMatchObject({ size: 3, compression: 'deflate', compressedSize: 11 });
+  expect(openManifest(key, sealManifest(key, manifest, { nonce }), { nonce })).toEqual(manifest);
+
+  const unknown = { ...manifest, compression: 'lzma' };
+  expect(() => openManifest(key, sealManifest(key, unknown, { nonce }), { nonce })).toThrow(
+    'Malformed manifest'
+  );
+});
+
+describe('refuses a manifest whose sizes do not add up', () => {
+  const key = nacl.randomBytes(32);
+  const valid = createManifest(file, 2, 2, transferId);
+  const open = (changes, maxChunkSize) =>
+    openManifest(key, sealManifest(key, { ...valid, ...changes }, { nonce }), {
+      nonce,
+      maxChunkSize,
+    });
+
+  test('takes one that does', () => {
+    expect(open({}, 2)).toEqual(valid);
+    expect(open({ size: 0, chunkCount: 0 })).toMatchObject({ chunkCount: 0 });
+  });
+
+  test.each([
+    ['too many chunks', { size: 1, chunkSize: 400, chunkCount: 50 }, '50 chunks of 400 bytes'],
+    ['too few chunks', { chunkCount: 1 }, '1 chunks of 2 bytes do not hold 3 bytes'],
+    ['chunks of no bytes', { chunkSize: 0 }, 'chunk size 0 is not between 1 and'],
+    ['a fractional chunk size', { chunkSize: 1.5 }, 'chunk size 1.5 is not between 1 and'],
+    ['a negative size', { size: -3, chunkCount: -1 }, 'invalid size'],
+    ['a fractional size', { size: 2.5 }, 'invalid size'],
+    ['a negative compressed size', { compression: 'deflate', compressedSize: -1 }, 'invalid size'],
+    [
+      'chunks that do not cover the compressed size',
+      { compression: 'deflate', compressedSize: 11 },
+      '2 chunks of 2 bytes do not hold 11 bytes',
+    ],
+    ['a digest that is not hex', { sha256: '../../etc/passwd' }, 'invalid SHA-256'],
+    ['a short digest', { sha256: 'ab' }, 'invalid SHA-256'],
+  ])('%s', (_, changes, message) => {
+    expect(() => open(changes)).toThrow('Malformed manifest: ' + message);
+  });
+
+  test('chunks longer than the MTU allows', () => {
+    expect(() => open({}, 1)).toThrow('Malformed manifest: chunk size 2 is not between 1 and 1');
+  });
+});
@@ -0,0 +1,100 @@
+import { generateIdentity } from '../src/identity';
+import { createPairingInvitation, encodePairingCode, parsePairingCode } from '../src/pairing';
+import SenderSession from '../src/SenderSession';
+import TrustStore, { TRUST_PAIRED, TRUST_PINNED } from '../src/TrustStore';
+import { createMemoryStorage, createSessions, nextEvent } from './support/sessions';
+
+describe('pairing codes', () => {
+  test('an invitation survives encoding into a QR code', () => {
+    const invitation = createPairingInvitation(generateIdentity().publicKey, 'Dock 4');
+    expect(parsePairingCode(encodePairingCode(invitation))).toEqual(invitation);
+  });
+
+  test.each([
+    ['not JSON', 'https://example.com', 'not a pairing QR code'],
+    ['a future version', JSON.stringify({ v: 99 }), 'unsupported version'],
+    ['no identity', JSON.stringify({ v: 1, name: 'Dock 4' }), 'missing receiver identity'],
+    [
+      'a short token',
+      JSON.stringify({ v: 1, name: 'a', fingerprint: 'b', token: 'AAAA' }),
+      'bad token',
+    ],
+  ])('refuses %s', (_, text, message) => {
+    expect(() => parsePairingCode(text)).toThrow('Invalid pairing code: ' + message);
+  });
+});
+
+describe('QR pairing handshake', () => {
+  const receiverIdentity = generateIdentity();
+  let invitation;
+  let senderTrust;
+
+  beforeEach(() => {
+    invitation = createPairingInvitation(receiverIdentity.publicKey, 'Dock 4');
+    senderTrust = new TrustStore(createMemoryStorage());
+  });
+
+  // The sender connects with what it scanned; the receiver holds its current invitation
+  const pair = (scanned, receiverInvitation = invitation) =>
+    createSessions(undefined, {
+      sender: { trustStore: senderTrust, peerId: 'receiver-device', pairing: scanned },
+      receiver: { identity: receiverIdentity, pairing: receiverInvitation },
+    });
+
+  test('a scanned code verifies both ends without comparing codes', async () => {
+    const { sender, receiver } = pair(parsePairingCode(encodePairingCode(invitation)));
+    const verified = Promise.all([nextEvent(sender, 'verified'), nextEvent(receiver, 'verified')]);
+    const receiverSecure = new Promise((resolve) =>
+      receiver.on('secure', (sas, peer) => resolve(peer))
+    );
+
+    receiver.start();
+    await sender.start();
+    await verified;
+
+    expect(sender.trust).toBe(TRUST_PINNED);
+    expect((await receiverSecure).trust).toBe(TRUST_PAIRED);
+    expect(await senderTrust.check('receiver-device', receiverIdentity.publicKey)).toBe(
+      TRUST_PINNED
+    );
+  });
+
+  test('a token the receiver did not issue fails the handshake', async () => {
+    const stale = createPairingInvitation(receiverIdentity.publicKey, 'Dock 4');
+    const { sender, receiver } = pair(stale);
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow(
+      'Handshake failed: receiver reported pairing code mismatch'
+    );
+    expect((await receiverFailure).message).toBe('Handshake failed: pairing code mismatch');
+  });
+
+  test('a receiver other than the scanned one is refused', async () => {
+    const otherReceiver = createPairingInvitation(generateIdentity().publicKey, 'Dock 4');
+    const { sender, receiver } = pair(otherReceiver, otherReceiver);
+    const receiverFailure = nextEvent(receiver, 'handshakeFailed');
+
+    receiver.start();
+    await expect(sender.start()).rejects.toThrow('Handshake failed: pairing code mismatch');
+    expect((await receiverFailure).message).toBe(
+      'Handshake failed: sender reported pairing code mismatch'
+    );
+  });
+
+  test('the token is good for one handshake only', async () => {
+    const { sender, receiver } = pair(invitation);
+    const verified = nextEvent(receiver, 'verified');
+    receiver.start();
+    await sender.start();
+    await verified;
+
+    // The sender reconnects with the same code to the same receiver session
+    await sender.close();
+    const replay = new SenderSession(sender.transport, { pairing: invitation });
+    await expect(replay.start()).rejects.toThrow(
+      'Handshake failed: receiver reported pairing code mismatch'
+    );
+  });
+});
@@ -0,0 +1,206 @@
+import nacl from 'tweetnacl';
+import {
+  DEFAULT_RECEIVE_POLICY,
+  POLICY_ACCEPT,
+  POLICY_ASK,
+  POLICY_REJECT,
+  checkBatch,
+  checkFile,
+  isExecutableFile,
+  loadReceivePolicy,
+  maxFileBytes,
+  saveReceivePolicy,
+} from '../src/policy';
+import { ERROR_REJECTED } from '../src/constants';
+import PartialStore from '../src/PartialStore';
+import { TRUST_PINNED, TRUST_UNKNOWN } from '../src/TrustStore';
+import {
+  connect,
+  createMemoryFileSystem,
+  createMemoryStorage,
+  nextEvent,
+} from './support/sessions';
+
+const file = (name, size = 1000, mimeType = null) => ({ name, size, mimeType });
+
+describe('receive policy', () => {
+  test('spots programs and installers by extension or type', () => {
+    expect(isExecutableFile('setup.EXE', null)).toBe(true);
+    expect(isExecutableFile('photo.jpg.apk', null)).toBe(true);
+    expect(isExecutableFile('tool', 'application/x-msdownload')).toBe(true);
+    expect(isExecutableFile('photo.jpg', 'image/jpeg')).toBe(false);
+    expect(isExecutableFile('exe', null)).toBe(false);
+  });
+
+  test('turns down executables and files over the size limit', () => {
+    const policy = { ...DEFAULT_RECEIVE_POLICY, maxFileSizeMB: 1 };
+
+    expect(checkFile(policy, file('setup.exe'), TRUST_PINNED)).toEqual({
+      decision: POLICY_REJECT,
+      reason: 'setup.exe is a program or installer',
+    });
+    expect(checkFile(policy, { path: 'f/big.bin', size: 2 * 1024 * 1024 }, TRUST_PINNED)).toEqual({
+      decision: POLICY_REJECT,
+      reason: 'big.bin is over 1 MB',
+    });
+    expect(checkFile(policy, file('notes.txt'), TRUST_PINNED).decision).toBe(POLICY_ASK);
+    expect(maxFileBytes(policy)).toBe(1024 * 1024);
+    expect(maxFileBytes(DEFAULT_RECEIVE_POLICY)).toBeNull();
+  });
+
+  test('takes files and batches from trusted senders only when told to', () => {
+    const policy = { ...DEFAULT_RECEIVE_POLICY, autoAcceptTrusted: true };
+
+    expect(checkFile(policy, file('notes.txt'), TRUST_PINNED).decision).toBe(POLICY_ACCEPT);
+    expect(checkFile(policy, file('notes.txt'), TRUST_UNKNOWN).decision).toBe(POLICY_ASK);
+    expect(checkBatch(policy, TRUST_PINNED).decision).toBe(POLICY_ACCEPT);
+    expect(checkBatch(DEFAULT_RECEIVE_POLICY, TRUST_PINNED).decision).toBe(POLICY_ASK);
+  });
+
+  test('is kept in storage, with defaults for settings never saved', async () => {
+    const storage = createMemoryStorage();
+    expect(await loadReceivePolicy(storage)).toEqual(DEFAULT_RECEIVE_POLICY);
+
+    await saveReceivePolicy(storage, { maxFileSizeMB: 5 });
+    expect(await loadReceivePolicy(storage)).toEqual({
+      ...DEFAULT_RECEIVE_POLICY,
+      maxFileSizeMB: 5,
+    });
+  });
+});
+
+// Sessions whose receiver asks `approve` about every offer
+const connectWithApproval = (approve, senderOptions = {}, receiverOptions = {}) =>
+  connect(undefined, { sender: senderOptions, receiver: { approve, ...receiverOptions } });
+
+test('a declined file reaches the sender as rejected by the receiver', async () => {
+  const offers = [];
+  const { sender, receiver } = await connectWithApproval(async (offer) => {
+    offers.push(offer);
+    return false;
+  });
+  const files = [];
+  receiver.on('file', (received) => files.push(received));
+  const declined = nextEvent(receiver, 'declined');
+
+  await expect(
+    sender.sendFile({ name: 'a.txt', data: nacl.randomBytes(500) })
+  ).rejects.toMatchObject({ message: 'Rejected by receiver: a.txt', code: ERROR_REJECTED });
+  expect((await declined).manifest.name).toBe('a.txt');
+  expect(offers[0].batch).toBeNull();
+  expect(offers[0].peer.fingerprint).toBe(receiver.peerFingerprint);
+  expect(files).toEqual([]);
+});
+
+test('the sender waits while the receiving user decides', async () => {
+  let signal;
+  const { sender, receiver } = await connectWithApproval(
+    (offer) => {
+      signal = offer.signal;
+      return new Promise((resolve) => setTimeout(() => resolve(true), 300));
+    },
+    { ackTimeout: 20, maxRetries: 1 }
+  );
+  const data = nacl.randomBytes(500);
+  const received = nextEvent(receiver, 'file');
+
+  await sender.sendFile({ name: 'a.txt', data });
+  expect((await received).data).toEqual(data);
+  expect(signal.aborted).toBe(false);
+});
+
+test('an offer left unanswered past the decision timeout is declined', async () => {
+  let answer;
+  let signal;
+  const { sender, receiver } = await connectWithApproval(
+    (offer) =>
+      new Promise((resolve) => {
+        answer = resolve;
+        signal = offer.signal;
+      }),
+    {},
+    { decisionTimeout: 100 }
+  );
+  const files = [];
+  receiver.on('file', (received) => files.push(received));
+  const declined = nextEvent(receiver, 'declined');
+
+  await expect(sender.sendFile({ name: 'a.txt', data: nacl.randomBytes(500) })).rejects.toThrow(
+    'Rejected by receiver: a.txt'
+  );
+  expect((await declined).manifest.name).toBe('a.txt');
+  // The app is told to take its prompt down
+  expect(signal.aborted).toBe(true);
+
+  // The user accepting now changes nothing
+  answer(true);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  expect(files).toEqual([]);
+});
+
+test('a file claiming more than the size limit is declined unasked', async () => {
+  const approve = jest.fn(async () => true);
+  const { sender } = await connect(undefined, { receiver: { approve, maxFileSize: () => 100 } });
+
+  await expect(sender.sendFile({ name: 'a.txt', data: nacl.randomBytes(101) })).rejects.toThrow(
+    'Rejected by receiver: a.txt'
+  );
+  expect(approve).not.toHaveBeenCalled();
+});
+
+test('a file whose bytes come to more than the size limit is dropped as they arrive', async () => {
+  const fs = createMemoryFileSystem();
+  // The limit drops once the file is accepted, as if the user changed the policy
+  let limit = null;
+  const { sender, receiver } = await connect(undefined, {
+    sender: { ackTimeout: 20, maxRetries: 1 },
+    receiver: {
+      partials: new PartialStore(fs, '/partial'),
+      destination: () => '/saved/a.bin',
+      approve: async () => {
+        limit = 300;
+        return true;
+      },
+      maxFileSize: () => limit,
+    },
+  });
+  const errors = [];
+  receiver.on('error', (err) => errors.push(err.message));
+  const manifest = nextEvent(sender, 'manifest');
+
+  await expect(sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(1000) })).rejects.toThrow();
+
+  const { transferId } = await manifest;
+  expect(errors[0]).toBe(
+    `Size error: transfer ${transferId} (a.bin) is over the size limit; the file was discarded`
+  );
+  expect(fs.files.size).toBe(0);
+});
+
+test('a declined batch sends none of its files', async () => {
+  const { sender } = await connectWithApproval(async ({ manifest }) => !!manifest);
+  const fileEvents = [];
+  sender.on('fileSent', (event) => fileEvents.push(event));
+
+  await expect(
+    sender.sendBatch([{ path: 'a.txt', file: { name: 'a.txt', data: nacl.randomBytes(10) } }])
+  ).rejects.toThrow('Rejected by receiver: batch of 1 files');
+  expect(fileEvents).toEqual([]);
+});
+
+test('a file declined from an accepted batch does not stop the rest', async () => {
+  const { sender, receiver } = await connectWithApproval(
+    async ({ manifest }) => manifest?.name !== 'setup.exe'
+  );
+  const received = [];
+  receiver.on('file', ({ manifest }) => received.push(manifest.path));
+
+  const results = await sender.sendBatch([
+    { path: 'f/setup.exe', file: { name: 'setup.exe', data: nacl.randomBytes(10) } },
+    { path: 'f/notes.txt', file: { name: 'notes.txt', data: nacl.randomBytes(10) } },
+  ]);
+
+  expect(results[0].error.message).toBe('Rejected by receiver: setup.exe');
+  expect(results[1].manifest.path).toBe('f/notes.txt');
+  expect(received).toEqual(['f/notes.txt']);
+});
@@ -0,0 +1,195 @@
+import nacl from 'tweetnacl';
+import { FRAME_CHUNK } from '../src/constants';
+import { generateIdentity } from '../src/identity';
+import PartialStore from '../src/PartialStore';
+import TransferQueue, {
+  QUEUE_PAUSED,
+  QUEUE_QUEUED,
+  QUEUE_SENDING,
+  TRANSFER_QUEUE_STORAGE_KEY,
+} from '../src/TransferQueue';
+import {
+  connect,
+  createMemoryFileSystem,
+  createMemoryStorage,
+  nextEvent,
+} from './support/sessions';
+
+const DIRECTORY = '/partial';
+const destination = ({ name }) => `/saved/${name}`;
+
+const manifest = { transferId: '0102030405060708', sha256: 'ab'.repeat(32) };
+
+describe('TransferQueue', () => {
+  test('keeps its items across reloads and queues an interrupted send again', async () => {
+    const storage = createMemoryStorage();
+    const queue = new TransferQueue(storage);
+    const first = await queue.add([{ path: 'a.bin' }]);
+    const second = await queue.add([{ path: 'b.bin' }]);
+    await queue.update(first.id, { state: QUEUE_SENDING });
+
+    expect(storage.items.has(TRANSFER_QUEUE_STORAGE_KEY)).toBe(true);
+    const reloaded = await new TransferQueue(storage).items();
+    expect(reloaded.map(({ id, state }) => [id, state])).toEqual([
+      [first.id, QUEUE_QUEUED],
+      [second.id, QUEUE_QUEUED],
+    ]);
+  });
+
+  test('skips paused items until they are resumed', async () => {
+    const queue = new TransferQueue(createMemoryStorage());
+    const first = await queue.add([]);
+    const second = await queue.add([]);
+
+    await queue.pause(first.id);
+    expect((await queue.next()).id).toBe(second.id);
+    expect((await queue.find(first.id)).state).toBe(QUEUE_PAUSED);
+    await queue.resume(first.id);
+    expect((await queue.next()).id).toBe(first.id);
+  });
+
+  test('reorders items', async () => {
+    const queue = new TransferQueue(createMemoryStorage());
+    const [a, b, c] = [await queue.add([]), await queue.add([]), await queue.add([])];
+
+    await queue.move(c.id, -1);
+    expect((await queue.items()).map(({ id }) => id)).toEqual([a.id, c.id, b.id]);
+    await queue.move(a.id, 5);
+    expect((await queue.items()).map(({ id }) => id)).toEqual([c.id, b.id, a.id]);
+  });
+
+  test('remembers to abort a cancelled item the receiver kept part of', async () => {
+    const queue = new TransferQueue(createMemoryStorage());
+    const item = await queue.add([{ path: 'a.bin' }]);
+    await queue.update(item.id, { interrupted: { path: 'a.bin', manifest } });
+
+    await queue.cancel(item.id);
+    expect(await queue.items()).toEqual([]);
+    expect(await queue.aborts()).toEqual([manifest]);
+    await queue.abortSent(manifest.transferId);
+    expect(await queue.aborts()).toEqual([]);
+  });
+});
+
+// A sender and receiver keeping partial files on a memory file system, with the sender
+// writing one chunk at a time so a send can be stopped partway
+const connectWithPartials = async (fs, options = {}) =>
+  connect(undefined, {
+    sender: { chunkSize: 100, windowSize: 1, ...options.sender },
+    receiver: { partials: new PartialStore(fs, DIRECTORY), destination },
+  });
+
+// Run `action` once the receiver has taken the fifth chunk
+const afterFiveChunks = (receiver, action) => {
+  let chunks = 0;
+  const stop = receiver.on('progress', () => {
+    if (++chunks === 5) {
+      stop();
+      action();
+    }
+  });
+};
+
+test('a paused send resumes from where it stopped', async () => {
+  const fs = createMemoryFileSystem();
+  const { sender, receiver, senderTransport } = await connectWithPartials(fs);
+  const data = nacl.randomBytes(2000);
+  let chunksSent = 0;
+  const send = senderTransport.send.bind(senderTransport);
+  senderTransport.send = (channel, bytes) => {
+    chunksSent += bytes[0] === FRAME_CHUNK ? 1 : 0;
+    return send(channel, bytes);
+  };
+
+  const paused = nextEvent(sender, 'manifest');
+  afterFiveChunks(receiver, () => sender.pauseTransfer());
+  await expect(sender.sendFile({ name: 'a.bin', data })).rejects.toThrow('Transfer paused');
+  const sentBeforePause = chunksSent;
+
+  const received = nextEvent(receiver, 'file');
+  await sender.sendFile({ name: 'a.bin', data }, { resume: await paused });
+  await received;
+
+  expect(fs.files.get('/saved/a.bin')).toEqual(data);
+  expect(chunksSent).toBeLessThan(sentBeforePause + 20);
+});
+
+test('a paused batch goes on from the file it stopped in', async () => {
+  const fs = createMemoryFileSystem();
+  const { sender, receiver } = await connectWithPartials(fs);
+  const files = [
+    { path: 'a.bin', file: { name: 'a.bin', data: nacl.randomBytes(300) } },
+    { path: 'b.bin', file: { name: 'b.bin', data: nacl.randomBytes(2000) } },
+  ];
+  const batches = [];
+  receiver.on('batch', (batch) => batches.push(batch));
+
+  let paused;
+  sender.on('manifest', (manifest) => {
+    paused = manifest;
+  });
+  nextEvent(sender, 'fileSent').then(() => afterFiveChunks(receiver, () => sender.pauseTransfer()));
+  await expect(sender.sendBatch(files)).rejects.toThrow('Transfer paused');
+
+  const progress = [];
+  sender.on('batchProgress', ({ index, overall }) => progress.push([index, overall]));
+  const received = nextEvent(receiver, 'file');
+  await sender.sendBatch([{ ...files[1], resume: paused }]);
+  await received;
+
+  expect(batches).toHaveLength(1);
+  expect(fs.files.get('/saved/b.bin')).toEqual(files[1].file.data);
+  expect(progress.every(([index, overall]) => index === 0 && overall > 13)).toBe(true);
+});
+
+test('cancelling a send has the receiver delete its partial file', async () => {
+  const fs = createMemoryFileSystem();
+  const { sender, receiver } = await connectWithPartials(fs);
+  const files = [];
+  receiver.on('file', (file) => files.push(file));
+
+  const started = nextEvent(sender, 'manifest');
+  const sending = sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(2000) });
+  const aborted = nextEvent(receiver, 'aborted');
+  afterFiveChunks(receiver, async () => sender.cancelTransfer(await started));
+  await expect(sending).rejects.toThrow('Transfer cancelled');
+
+  expect((await aborted).transferId).toBe((await started).transferId);
+  expect(receiver.manifest).toBeNull();
+  expect(fs.files.size).toBe(0);
+  expect(files).toEqual([]);
+});
+
+test('a transfer paused in an earlier session can be cancelled later', async () => {
+  const fs = createMemoryFileSystem();
+  const first = await connectWithPartials(fs);
+  const started = nextEvent(first.sender, 'manifest');
+  afterFiveChunks(first.receiver, () => first.sender.pauseTransfer());
+  await expect(
+    first.sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(2000) })
+  ).rejects.toThrow('Transfer paused');
+  expect(fs.files.size).toBe(3);
+
+  const second = await connectWithPartials(fs);
+  await second.sender.cancelTransfer(await started);
+  expect(fs.files.size).toBe(0);
+});
+
+test('an abort signed by another identity is refused', async () => {
+  const fs = createMemoryFileSystem();
+  const { sender, receiver } = await connectWithPartials(fs, {
+    sender: { ackTimeout: 20, maxRetries: 1 },
+  });
+  const errors = [];
+  receiver.on('error', (err) => errors.push(err.message));
+  const started = nextEvent(sender, 'manifest');
+  afterFiveChunks(receiver, () => sender.pauseTransfer());
+  await expect(sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(2000) })).rejects.toThrow(
+    'Transfer paused'
+  );
+
+  sender.identity = generateIdentity();
+  await expect(sender.cancelTransfer(await started)).rejects.toThrow('Transfer failed');
+  expect(errors).toContain('Abort error: signature invalid');
+  expect(fs.files.size).toBe(3);
+});
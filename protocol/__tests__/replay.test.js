@@ -0,0 +1,162 @@
+import nacl from 'tweetnacl';
+import { CHANNEL_TRANSFER, FRAME_CHUNK, FRAME_MANIFEST } from '../src/constants';
+import { frameNonce } from '../src/crypto';
+import { concatBytes } from '../src/encoding';
+import { decodeFrame, encodeFrame, frameAad } from '../src/frame';
+import { createManifest, sealManifest } from '../src/manifest';
+import { connect, nextEvent } from './support/sessions';
+
+// Record every transfer frame the sender writes, and let tests inject extra ones
+const tapTransfer = (transport) => {
+  const sent = [];
+  const send = transport.send.bind(transport);
+  transport.send = (channel, bytes) => {
+    if (channel === CHANNEL_TRANSFER) {
+      sent.push(bytes);
+    }
+    return send(channel, bytes);
+  };
+  return { sent, inject: (bytes) => send(CHANNEL_TRANSFER, bytes) };
+};
+
+const collectErrors = (session) => {
+  const errors = [];
+  session.on('error', (err) => errors.push(err.message));
+  return errors;
+};
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+// Send a hand-built manifest the way sendFile does, leaving sender.transfer set for its chunks
+const sendManifest = (sender, manifest, transferId) => {
+  sender.transfer = sender.transferContext(transferId);
+  const sealed = sealManifest(sender.sendKey, manifest, {
+    nonce: frameNonce(sender.transfer.sendNonceBase, FRAME_MANIFEST, 0),
+    aad: frameAad(transferId, FRAME_MANIFEST, 0),
+  });
+  return sender.sendFrame(FRAME_MANIFEST, concatBytes(transferId, sealed));
+};
+
+const chunkFrames = (sent) => sent.filter((bytes) => decodeFrame(bytes).type === FRAME_CHUNK);
+
+test('a duplicated chunk is acknowledged again but kept once', async () => {
+  // Start with one chunk in flight, so the transfer is still open when the frame is injected
+  const { sender, receiver, senderTransport } = await connect(undefined, {
+    sender: { chunkSize: 100, windowSize: 1 },
+  });
+  const { sent, inject } = tapTransfer(senderTransport);
+  const errors = collectErrors(receiver);
+  const data = nacl.randomBytes(300);
+
+  const received = nextEvent(receiver, 'file');
+  const sending = sender.sendFile({ name: 'a.bin', data });
+  await nextEvent(receiver, 'progress');
+  await inject(chunkFrames(sent)[0]);
+  await sending;
+
+  expect((await received).data).toEqual(data);
+  expect(errors).toEqual([]);
+});
+
+test('a chunk moved to another slot fails to decrypt', async () => {
+  // Start with one chunk in flight, so the transfer is still open when the frame is injected
+  const { sender, receiver, senderTransport } = await connect(undefined, {
+    sender: { chunkSize: 100, windowSize: 1 },
+  });
+  const { sent, inject } = tapTransfer(senderTransport);
+  const errors = collectErrors(receiver);
+  const data = nacl.randomBytes(300);
+
+  const received = nextEvent(receiver, 'file');
+  const sending = sender.sendFile({ name: 'a.bin', data });
+  await nextEvent(receiver, 'progress');
+  const { payload } = decodeFrame(chunkFrames(sent)[0]);
+  await inject(encodeFrame({ type: FRAME_CHUNK, seq: 2, payload }));
+  await sending;
+
+  expect((await received).data).toEqual(data);
+  expect(errors.some((message) => message.startsWith('Decryption error'))).toBe(true);
+});
+
+test('chunks and manifests from an earlier transfer are refused', async () => {
+  const { sender, receiver, senderTransport } = await connect();
+  const { sent, inject } = tapTransfer(senderTransport);
+  const errors = collectErrors(receiver);
+
+  await sender.sendFile({ name: 'first.bin', data: nacl.randomBytes(50) });
+  const firstTransfer = sent.splice(0);
+  const [staleChunk] = chunkFrames(firstTransfer);
+
+  const second = nextEvent(receiver, 'file');
+  const data = nacl.randomBytes(1000);
+  const sending = sender.sendFile({ name: 'second.bin', data });
+  await nextEvent(receiver, 'manifest');
+  // Replaying the whole first transfer is caught at its manifest
+  for (const bytes of firstTransfer.filter((b) => decodeFrame(b).type === FRAME_MANIFEST)) {
+    await inject(bytes);
+  }
+  // A chunk from the first transfer does not decrypt in the second one
+  await inject(staleChunk);
+  await sending;
+
+  expect((await second).data).toEqual(data);
+  expect(errors.some((message) => message.endsWith('was already received'))).toBe(true);
+  expect(errors.some((message) => message.startsWith('Decryption error'))).toBe(true);
+});
+
+test('places chunks by index when they arrive out of order', async () => {
+  const { sender, receiver } = await connect();
+  const data = nacl.randomBytes(30);
+  const chunks = [data.subarray(0, 10), data.subarray(10, 20), data.subarray(20)];
+  const transferId = nacl.randomBytes(8);
+  const manifest = createManifest({ name: 'a.bin', data }, 10, chunks.length, transferId);
+
+  const received = nextEvent(receiver, 'file');
+  await sendManifest(sender, manifest, transferId);
+  for (const seq of [2, 0, 1]) {
+    const sealed = sender.seal(sender.transfer, FRAME_CHUNK, seq, chunks[seq]);
+    await sender.sendFrame(FRAME_CHUNK, sealed, { seq });
+  }
+  await sender.sendTrailer(manifest);
+
+  expect((await received).data).toEqual(data);
+});
+
+test('refuses a chunk beyond the announced count', async () => {
+  const { sender, receiver, senderTransport } = await connect();
+  const { inject } = tapTransfer(senderTransport);
+  const errors = collectErrors(receiver);
+  const data = nacl.randomBytes(10);
+  const transferId = nacl.randomBytes(8);
+  const manifest = createManifest({ name: 'a.bin', data }, 10, 1, transferId);
+
+  await sendManifest(sender, manifest, transferId);
+  const sealed = sender.seal(sender.transfer, FRAME_CHUNK, 1, data);
+  await inject(encodeFrame({ type: FRAME_CHUNK, seq: 1, payload: sealed }));
+  await settle();
+
+  expect(errors).toContain('Chunk 1 is out of range (1 chunks)');
+});
+
+test('a manifest ACK that arrives once chunks are going is ignored', async () => {
+  // A small MTU splits the manifest, so its last ACK is numbered past the first chunk ACKs
+  const { sender, receiver, receiverTransport } = await connect(
+    { mtu: 120 },
+    { sender: { windowSize: 1 } }
+  );
+  const { sent, inject } = tapTransfer(receiverTransport);
+  const errors = collectErrors(sender);
+  const data = nacl.randomBytes(2000);
+
+  const received = nextEvent(receiver, 'file');
+  const sending = sender.sendFile({ name: 'a.bin', data });
+  await nextEvent(receiver, 'progress');
+  // Everything the receiver sent before its first chunk ACK answered the manifest
+  const lastManifestAck = sent[sent.length - 2];
+  expect(decodeFrame(lastManifestAck).seq).toBeGreaterThan(1);
+  await inject(lastManifestAck);
+  await sending;
+
+  expect((await received).data).toEqual(data);
+  expect(errors).toEqual([]);
+});
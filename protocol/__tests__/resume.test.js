@@ -0,0 +1,158 @@
+import nacl from 'tweetnacl';
+import { sha256 } from '@noble/hashes/sha256';
+import { FRAME_CHUNK } from '../src/constants';
+import PartialStore from '../src/PartialStore';
+import { base64ToBytes } from '../src/encoding';
+import { connect, createMemoryFileSystem, nextEvent } from './support/sessions';
+
+const DIRECTORY = '/partial';
+const SAVED = '/saved/a.bin';
+const destination = () => SAVED;
+const manifest = {
+  transferId: '0102030405060708',
+  name: 'a.bin',
+  mimeType: 'application/octet-stream',
+  size: 25,
+  chunkSize: 10,
+  chunkCount: 3,
+  sha256: 'ab'.repeat(32),
+};
+
+describe('PartialStore', () => {
+  test('starts an empty partial for a new transfer', async () => {
+    const store = new PartialStore(createMemoryFileSystem(), DIRECTORY);
+    expect(await store.open(manifest)).toEqual(new Array(3));
+  });
+
+  test('remembers the chunks saved in an earlier session', async () => {
+    const fs = createMemoryFileSystem();
+    const first = new PartialStore(fs, DIRECTORY);
+    await first.open(manifest);
+    await first.saveChunk(manifest, 2, nacl.randomBytes(5));
+
+    const chunks = await new PartialStore(fs, DIRECTORY).open(manifest);
+    expect(chunks[0]).toBeUndefined();
+    expect(chunks[1]).toBeUndefined();
+    expect(chunks[2]).toBe(true);
+  });
+
+  test('hashes the written file and moves it into place', async () => {
+    const fs = createMemoryFileSystem();
+    const store = new PartialStore(fs, DIRECTORY);
+    const data = nacl.randomBytes(25);
+    await store.open(manifest);
+    for (const index of [2, 0, 1]) {
+      await store.saveChunk(manifest, index, data.subarray(index * 10, index * 10 + 10));
+    }
+
+    expect(await store.digest(manifest)).toEqual(sha256(data));
+    await store.complete(manifest, SAVED);
+    expect([...fs.files.keys()]).toEqual([SAVED]);
+    expect(fs.files.get(SAVED)).toEqual(data);
+  });
+
+  test('writes the manifest once and only the changed bitmap byte per chunk', async () => {
+    const fs = createMemoryFileSystem();
+    const writes = [];
+    const { write, writeFile } = fs;
+    fs.write = (path, contents, position, encoding) => {
+      writes.push([path.split('.').pop(), base64ToBytes(contents).length, position]);
+      return write(path, contents, position, encoding);
+    };
+    fs.writeFile = (path, contents, encoding) => {
+      writes.push([path.split('.').pop(), 'whole']);
+      return writeFile(path, contents, encoding);
+    };
+    const big = { ...manifest, size: 200, chunkCount: 20 };
+    const store = new PartialStore(fs, DIRECTORY);
+    await store.open(big);
+    writes.length = 0;
+    await store.saveChunk(big, 17, nacl.randomBytes(10));
+
+    expect(writes).toEqual([
+      ['part', 10, 170],
+      ['held', 1, 2],
+    ]);
+    const chunks = await new PartialStore(fs, DIRECTORY).open(big);
+    expect(chunks.filter(Boolean)).toHaveLength(1);
+    expect(chunks[17]).toBe(true);
+  });
+
+  test('does not reuse chunks saved for a different file', async () => {
+    const fs = createMemoryFileSystem();
+    const store = new PartialStore(fs, DIRECTORY);
+    await store.open(manifest);
+    await store.saveChunk(manifest, 0, nacl.randomBytes(10));
+
+    const changed = { ...manifest, sha256: 'cd'.repeat(32) };
+    expect(await new PartialStore(fs, DIRECTORY).open(changed)).toEqual(new Array(3));
+  });
+
+  test('removes a discarded transfer from disk', async () => {
+    const fs = createMemoryFileSystem();
+    const store = new PartialStore(fs, DIRECTORY);
+    await store.open(manifest);
+    await store.saveChunk(manifest, 0, nacl.randomBytes(10));
+    await store.discard(manifest);
+    expect(fs.files.size).toBe(0);
+  });
+});
+
+test('a transfer cut off by a disconnect resumes in a new session', async () => {
+  const fs = createMemoryFileSystem();
+  const partials = new PartialStore(fs, DIRECTORY);
+  const data = nacl.randomBytes(2000);
+
+  // The link drops as the sixth of 20 chunks goes out
+  let chunksSent = 0;
+  const first = await connect(
+    {
+      drop: (packet) => {
+        if (packet.from === 'central' && packet.bytes[0] === FRAME_CHUNK && ++chunksSent === 6) {
+          first.link.disconnect();
+        }
+        return false;
+      },
+    },
+    { sender: { chunkSize: 100, windowSize: 1 }, receiver: { partials, destination } }
+  );
+  const interrupted = nextEvent(first.sender, 'manifest');
+  await expect(first.sender.sendFile({ name: 'a.bin', data })).rejects.toThrow();
+  const resume = await interrupted;
+
+  // A fresh link and key exchange; the receiver's disk survives
+  let resumedChunks = 0;
+  const second = await connect(
+    {
+      drop: (packet) => {
+        resumedChunks += packet.from === 'central' && packet.bytes[0] === FRAME_CHUNK ? 1 : 0;
+        return false;
+      },
+    },
+    { sender: { chunkSize: 100 }, receiver: { partials, destination } }
+  );
+  expect(second.sender.sendKey).not.toEqual(first.sender.sendKey);
+  const received = nextEvent(second.receiver, 'file');
+  const manifest = await second.sender.sendFile({ name: 'a.bin', data }, { resume });
+
+  expect(manifest.transferId).toBe(resume.transferId);
+  expect((await received).path).toBe(SAVED);
+  expect(resumedChunks).toBe(15);
+  // Only the finished file is left
+  expect([...fs.files.keys()]).toEqual([SAVED]);
+  expect(fs.files.get(SAVED)).toEqual(data);
+});
+
+test('a changed file is sent from scratch instead of resumed', async () => {
+  const fs = createMemoryFileSystem();
+  const partials = new PartialStore(fs, DIRECTORY);
+  const { sender, receiver } = await connect(undefined, { receiver: { partials, destination } });
+  const resume = { ...manifest, sha256: '00'.repeat(32) };
+  const received = nextEvent(receiver, 'file');
+  const data = nacl.randomBytes(25);
+  const sent = await sender.sendFile({ name: 'a.bin', data }, { resume });
+
+  expect(sent.transferId).not.toBe(resume.transferId);
+  await received;
+  expect(fs.files.get(SAVED)).toEqual(data);
+});
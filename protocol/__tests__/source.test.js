@@ -0,0 +1,55 @@
+import nacl from 'tweetnacl';
+import { READ_BLOCK_SIZE } from '../src/constants';
+import { bytesToBase64 } from '../src/encoding';
+import FileSystemSource from '../src/FileSystemSource';
+import { connect, createMemoryFileSystem, nextEvent } from './support/sessions';
+
+const PATH = '/picked/a.bin';
+
+// A file on the memory file system, with every read it serves recorded
+const createFile = async (data) => {
+  const fs = createMemoryFileSystem();
+  await fs.writeFile(PATH, bytesToBase64(data), 'base64');
+  const reads = [];
+  const read = fs.read;
+  fs.read = (path, length, position, encoding) => {
+    reads.push({ length, position });
+    return read(path, length, position, encoding);
+  };
+  return { fs, reads };
+};
+
+test('reads byte ranges a block at a time', async () => {
+  const data = nacl.randomBytes(READ_BLOCK_SIZE + 100);
+  const { fs, reads } = await createFile(data);
+  const source = new FileSystemSource(fs, PATH, { name: 'a.bin', size: data.length });
+
+  expect(await source.read(0, 10)).toEqual(data.subarray(0, 10));
+  expect(await source.read(10, 20)).toEqual(data.subarray(10, 30));
+  expect(reads).toEqual([{ length: READ_BLOCK_SIZE, position: 0 }]);
+
+  // Past the cached block, and cut short at the end of the file
+  expect(await source.read(READ_BLOCK_SIZE - 5, 50)).toEqual(
+    data.subarray(READ_BLOCK_SIZE - 5, READ_BLOCK_SIZE + 45)
+  );
+  expect(await source.read(data.length - 10, 50)).toEqual(data.subarray(data.length - 10));
+  expect(await source.read(data.length, 50)).toEqual(new Uint8Array(0));
+});
+
+test('sends a file read from disk without loading it whole', async () => {
+  const { sender, receiver } = await connect();
+  const data = nacl.randomBytes(3 * READ_BLOCK_SIZE + 1000);
+  const { fs, reads } = await createFile(data);
+  const source = new FileSystemSource(fs, PATH, {
+    name: 'a.bin',
+    mimeType: 'application/octet-stream',
+    size: data.length,
+  });
+
+  const received = nextEvent(receiver, 'file');
+  const manifest = await sender.sendFile(source);
+
+  expect((await received).data).toEqual(data);
+  expect(manifest.size).toBe(data.length);
+  expect(Math.max(...reads.map(({ length }) => length))).toBeLessThanOrEqual(READ_BLOCK_SIZE);
+});
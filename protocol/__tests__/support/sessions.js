@@ -0,0 +1,87 @@
+import { createLoopbackTransports } from '../../src/loopback';
+import SenderSession from '../../src/SenderSession';
+import ReceiverSession from '../../src/ReceiverSession';
+import { base64ToBytes, bytesToBase64, bytesToUtf8, utf8ToBytes } from '../../src/encoding';
+
+// Sender and receiver sessions over a fresh loopback link
+export const createSessions = (
+  linkOptions,
+  { sender: senderOptions, receiver: receiverOptions } = {}
+) => {
+  const { link, senderTransport, receiverTransport } = createLoopbackTransports(linkOptions);
+  const sender = new SenderSession(senderTransport, senderOptions);
+  const receiver = new ReceiverSession(receiverTransport, receiverOptions);
+  return { link, sender, receiver, senderTransport, receiverTransport };
+};
+
+export const nextEvent = (session, event) => new Promise((resolve) => session.on(event, resolve));
+
+// Run the handshake and have both users confirm matching SAS codes
+export const connect = async (linkOptions, sessionOptions) => {
+  const sessions = createSessions(linkOptions, sessionOptions);
+  const { sender, receiver } = sessions;
+  const verified = Promise.all([nextEvent(sender, 'verified'), nextEvent(receiver, 'verified')]);
+  receiver.start();
+  await sender.start();
+  await Promise.all([sender.confirmSas(true), receiver.confirmSas(true)]);
+  await verified;
+  return sessions;
+};
+
+// AsyncStorage stand-in backed by a Map
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    items,
+    getItem: async (key) => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+  };
+};
+
+// react-native-fs stand-in backed by a Map of path to bytes
+export const createMemoryFileSystem = () => {
+  const files = new Map();
+  const decode = (contents, encoding) =>
+    encoding === 'base64' ? base64ToBytes(contents) : utf8ToBytes(contents);
+  const encode = (bytes, encoding) =>
+    encoding === 'base64' ? bytesToBase64(bytes) : bytesToUtf8(bytes);
+  const existing = (path) => {
+    if (!files.has(path)) {
+      throw new Error(`ENOENT: no such file, open '${path}'`);
+    }
+    return files.get(path);
+  };
+  return {
+    files,
+    exists: async (path) =>
+      files.has(path) || [...files.keys()].some((p) => p.startsWith(path + '/')),
+    mkdir: async () => {},
+    readFile: async (path, encoding) => encode(existing(path), encoding),
+    writeFile: async (path, contents, encoding) => {
+      files.set(path, decode(contents, encoding));
+    },
+    read: async (path, length, position, encoding) =>
+      encode(existing(path).slice(position, position + length), encoding),
+    write: async (path, contents, position, encoding) => {
+      const bytes = decode(contents, encoding);
+      const current = existing(path);
+      const next = new Uint8Array(Math.max(current.length, position + bytes.length));
+      next.set(current);
+      next.set(bytes, position);
+      files.set(path, next);
+    },
+    moveFile: async (from, to) => {
+      files.set(to, existing(from));
+      files.delete(from);
+    },
+    unlink: async (path) => {
+      existing(path);
+      files.delete(path);
+    },
+  };
+};
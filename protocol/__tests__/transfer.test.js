@@ -0,0 +1,317 @@
+import nacl from 'tweetnacl';
+import { DEFAULT_WINDOW_SIZE, FRAME_ACK, FRAME_CHUNK, FRAME_MANIFEST } from '../src/constants';
+import { decodeFrame } from '../src/frame';
+import { identityFingerprint } from '../src/identity';
+import { connect, nextEvent } from './support/sessions';
+
+const nextFile = (receiver) => nextEvent(receiver, 'file');
+
+test('handshake gives both ends the same key', async () => {
+  const { sender, receiver } = await connect();
+  expect(sender.isSecure).toBe(true);
+  expect(receiver.keys).toEqual(sender.keys);
+  expect(sender.sendKey).toEqual(receiver.receiveKey);
+  expect(sender.sendKey).not.toEqual(sender.receiveKey);
+});
+
+test('transfers a multi-chunk file byte for byte', async () => {
+  const { sender, receiver } = await connect();
+  const data = nacl.randomBytes(1000);
+  const progress = [];
+  receiver.on('progress', (percent) => progress.push(percent));
+
+  const received = nextFile(receiver);
+  const manifest = await sender.sendFile({ name: 'photo.jpg', mimeType: 'image/jpeg', data });
+  const { manifest: receivedManifest, data: receivedData } = await received;
+
+  // 489-byte chunks fill a 517-byte MTU after the ATT header, frame header and tag
+  expect(manifest.chunkSize).toBe(489);
+  expect(manifest.chunkCount).toBe(3);
+  expect(receivedManifest).toEqual(manifest);
+  expect(receivedData).toEqual(data);
+  expect(progress[progress.length - 1]).toBe(100);
+});
+
+test('sizes chunks and manifest fragments to a small negotiated MTU', async () => {
+  const writes = [];
+  const { sender, receiver } = await connect({
+    mtu: 120,
+    drop: (packet) => {
+      writes.push(packet.bytes.length);
+      return false;
+    },
+  });
+  const data = nacl.randomBytes(1000);
+
+  const received = nextFile(receiver);
+  const manifest = await sender.sendFile({ name: 'photo.jpg', data });
+
+  expect(manifest.chunkSize).toBe(92);
+  expect((await received).data).toEqual(data);
+  expect(Math.max(...writes)).toBe(117);
+});
+
+test.each([100, 60])(
+  'fragments handshake frames longer than one write at an MTU of %i',
+  async (mtu) => {
+    const writes = [];
+    const { sender, receiver } = await connect({
+      mtu,
+      drop: (packet) => {
+        writes.push(packet.bytes.length);
+        return false;
+      },
+    });
+    expect(receiver.keys).toEqual(sender.keys);
+    expect(receiver.peerFingerprint).toBe(identityFingerprint(sender.identity.publicKey));
+
+    const data = nacl.randomBytes(300);
+    const received = nextFile(receiver);
+    await sender.sendFile({ name: 'photo.jpg', data });
+    expect((await received).data).toEqual(data);
+    expect(Math.max(...writes)).toBeLessThanOrEqual(mtu - 3);
+  }
+);
+
+test('transfers a file at the BLE default MTU of 23 despite a lost write', async () => {
+  let writes = 0;
+  const lost = [];
+  const { sender, receiver } = await connect({
+    mtu: 23,
+    drop: (packet) => {
+      expect(packet.bytes.length).toBeLessThanOrEqual(20);
+      writes += 1;
+      if (packet.bytes[0] === FRAME_CHUNK && lost.length === 0 && writes > 40) {
+        lost.push(packet);
+        return true;
+      }
+      return false;
+    },
+  });
+  const data = nacl.randomBytes(1000);
+
+  const received = nextFile(receiver);
+  const manifest = await sender.sendFile({ name: 'photo.jpg', data });
+
+  expect(manifest.chunkSize).toBe(240);
+  expect(manifest.chunkCount).toBe(5);
+  expect((await received).data).toEqual(data);
+  expect(lost).toHaveLength(1);
+});
+
+test('honours a chunk size below the MTU limit', async () => {
+  const { sender, receiver } = await connect(undefined, { sender: { chunkSize: 100 } });
+  const received = nextFile(receiver);
+  const manifest = await sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(250) });
+  expect(manifest.chunkCount).toBe(3);
+  expect((await received).data.length).toBe(250);
+});
+
+test('keeps a window of chunks in flight instead of waiting for each ACK', async () => {
+  const types = [];
+  const { sender, receiver } = await connect({
+    latency: 5,
+    drop: (packet) => {
+      types.push(packet.bytes[0]);
+      return false;
+    },
+  });
+  const received = nextFile(receiver);
+  await sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(5000) });
+  expect((await received).data).toHaveLength(5000);
+
+  const firstChunk = types.indexOf(FRAME_CHUNK);
+  const firstAck = types.indexOf(FRAME_ACK, firstChunk);
+  expect(firstAck - firstChunk).toBe(DEFAULT_WINDOW_SIZE);
+});
+
+test('resends only the chunk that was lost', async () => {
+  let chunkWrites = 0;
+  const { sender, receiver } = await connect(
+    {
+      drop: (packet) => {
+        if (packet.from !== 'central' || packet.bytes[0] !== FRAME_CHUNK) {
+          return false;
+        }
+        // Lose the first write of chunk 3
+        return ++chunkWrites === 4;
+      },
+    },
+    { sender: { chunkSize: 100 } }
+  );
+  const received = nextFile(receiver);
+  const data = nacl.randomBytes(1000);
+  await sender.sendFile({ name: 'a.bin', data });
+
+  expect((await received).data).toEqual(data);
+  expect(chunkWrites).toBe(11);
+});
+
+test('transfers an empty file', async () => {
+  const { sender, receiver } = await connect();
+  const received = nextFile(receiver);
+  await sender.sendFile({ name: 'empty.txt', data: new Uint8Array(0) });
+  expect((await received).data).toEqual(new Uint8Array(0));
+});
+
+test('a disconnect mid-transfer fails the send instead of hanging', async () => {
+  let chunksSent = 0;
+  const { link, sender } = await connect({
+    drop: (packet) => {
+      // Lose the link when the third chunk goes out
+      if (packet.from === 'central' && packet.bytes[0] === FRAME_CHUNK && ++chunksSent === 3) {
+        link.disconnect();
+      }
+      return false;
+    },
+  });
+  const errors = [];
+  sender.on('error', (err) => errors.push(err.message));
+
+  await expect(sender.sendFile({ name: 'big.bin', data: nacl.randomBytes(2000) })).rejects.toThrow(
+    'Device'
+  );
+  expect(errors).toContain('Notification error: Device disconnected');
+});
+
+test('stops at the session chunk limit until the keys are renewed', async () => {
+  const { sender, receiver } = await connect(undefined, { sender: { chunkLimit: 4 } });
+  await sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(1000) });
+  await expect(sender.sendFile({ name: 'b.bin', data: nacl.randomBytes(1000) })).rejects.toThrow(
+    'Rekey required: session limit of 4 chunks reached'
+  );
+
+  const oldKey = sender.sendKey;
+  const verified = Promise.all([nextEvent(sender, 'verified'), nextEvent(receiver, 'verified')]);
+  await sender.rekey();
+  await Promise.all([sender.confirmSas(true), receiver.confirmSas(true)]);
+  await verified;
+  expect(sender.sendKey).not.toEqual(oldKey);
+
+  const received = nextFile(receiver);
+  await sender.sendFile({ name: 'b.bin', data: nacl.randomBytes(1000) });
+  expect((await received).manifest.name).toBe('b.bin');
+});
+
+test('the receiver refuses a manifest past its own chunk limit', async () => {
+  const { sender, receiver } = await connect(undefined, { receiver: { chunkLimit: 2 } });
+  const error = nextEvent(receiver, 'error');
+  sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(1000) }).catch(() => {});
+  expect((await error).message).toBe('Rekey required: session limit of 2 chunks reached');
+  await sender.close();
+});
+
+describe('retransmission', () => {
+  const fast = { sender: { chunkSize: 100, ackTimeout: 20, maxRetries: 3 } };
+
+  test('writes a lost last chunk again when its timer runs out', async () => {
+    let lastChunkWrites = 0;
+    const { sender, receiver } = await connect(
+      {
+        drop: (packet) =>
+          packet.bytes[0] === FRAME_CHUNK &&
+          decodeFrame(packet.bytes).seq === 9 &&
+          ++lastChunkWrites === 1,
+      },
+      fast
+    );
+    const received = nextFile(receiver);
+    const data = nacl.randomBytes(1000);
+    await sender.sendFile({ name: 'a.bin', data });
+
+    expect((await received).data).toEqual(data);
+    expect(lastChunkWrites).toBe(2);
+  });
+
+  test('a chunk written again repeats its sealed bytes even if the file changed', async () => {
+    const lastChunkFrames = [];
+    const { sender, receiver } = await connect(
+      {
+        drop: (packet) => {
+          if (packet.bytes[0] !== FRAME_CHUNK || decodeFrame(packet.bytes).seq !== 9) {
+            return false;
+          }
+          lastChunkFrames.push(packet.bytes);
+          return lastChunkFrames.length === 1;
+        },
+      },
+      fast
+    );
+    // A file that changes on disk once each chunk has been read, like a log being written
+    const data = nacl.randomBytes(1000);
+    const chunkReads = new Set();
+    const source = {
+      name: 'a.log',
+      size: data.length,
+      read: async (offset, length) => {
+        const bytes = data.slice(offset, offset + length);
+        if (length === 100 && chunkReads.has(offset)) {
+          return bytes.map((byte) => byte ^ 0xff);
+        }
+        chunkReads.add(length === 100 ? offset : -1);
+        return bytes;
+      },
+    };
+    const received = nextFile(receiver);
+    await sender.sendFile(source);
+
+    expect(lastChunkFrames).toHaveLength(2);
+    expect(lastChunkFrames[1]).toEqual(lastChunkFrames[0]);
+    expect((await received).data).toEqual(data);
+  });
+
+  test('a lost ACK makes the receiver acknowledge the chunk again without keeping it twice', async () => {
+    let acks = 0;
+    const { sender, receiver } = await connect(
+      {
+        // Lose the ACKs of the first two chunks; the first ACK answers the manifest
+        drop: (packet) =>
+          packet.from === 'peripheral' && packet.bytes[0] === FRAME_ACK && [2, 3].includes(++acks),
+      },
+      { sender: { ...fast.sender, windowSize: 1 } }
+    );
+    const files = [];
+    receiver.on('file', (file) => files.push(file));
+    const data = nacl.randomBytes(250);
+    await sender.sendFile({ name: 'a.bin', data });
+
+    expect(files).toHaveLength(1);
+    expect(files[0].data).toEqual(data);
+  });
+
+  test('a lost manifest ACK makes the sender write the manifest again', async () => {
+    let manifestAcksLost = 0;
+    const { sender, receiver } = await connect(
+      {
+        drop: (packet) =>
+          packet.from === 'peripheral' && packet.bytes[0] === FRAME_ACK && ++manifestAcksLost === 1,
+      },
+      fast
+    );
+    const received = nextFile(receiver);
+    await sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(300) });
+    expect((await received).manifest.name).toBe('a.bin');
+  });
+
+  test('fails the transfer once the retries run out', async () => {
+    let chunks = 0;
+    const { sender } = await connect(
+      // The receiver goes silent after the first few chunks
+      { drop: (packet) => packet.bytes[0] === FRAME_CHUNK && ++chunks > 3 },
+      fast
+    );
+    await expect(sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(1000) })).rejects.toThrow(
+      'Transfer failed: no ACK for chunk 3 after 3 retries'
+    );
+  });
+
+  test('fails when the manifest is never acknowledged', async () => {
+    const { sender } = await connect(
+      { drop: (packet) => packet.bytes[0] === FRAME_MANIFEST },
+      fast
+    );
+    await expect(sender.sendFile({ name: 'a.bin', data: nacl.randomBytes(10) })).rejects.toThrow(
+      'Transfer failed: no ACK for manifest fragment 0 after 3 retries'
+    );
+  });
+});
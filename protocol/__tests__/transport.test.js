@@ -0,0 +1,56 @@
+import { CharacteristicTransport } from '../src/transport';
+import { CHANNEL_HANDSHAKE, CHANNEL_TRANSFER, ERROR_LINK_LOST } from '../src/constants';
+
+// Stand-in for a react-native-ble-plx Characteristic
+const fakeCharacteristic = () => ({
+  writeWithResponse: jest.fn(async () => {}),
+  writeWithoutResponse: jest.fn(async () => {}),
+  monitor: jest.fn(function (listener) {
+    this.listener = listener;
+    return { remove: jest.fn() };
+  }),
+});
+
+test('writes handshake frames with response and transfer frames without', async () => {
+  const handshake = fakeCharacteristic();
+  const transfer = fakeCharacteristic();
+  const transport = new CharacteristicTransport(handshake, transfer);
+
+  await transport.send(CHANNEL_HANDSHAKE, Uint8Array.of(1, 2, 3));
+  await transport.send(CHANNEL_TRANSFER, Uint8Array.of(4));
+
+  expect(handshake.writeWithResponse).toHaveBeenCalledWith('AQID');
+  expect(transfer.writeWithoutResponse).toHaveBeenCalledWith('BA==');
+});
+
+test('delivers decoded notifications per channel until unsubscribed', () => {
+  const handshake = fakeCharacteristic();
+  const transfer = fakeCharacteristic();
+  const transport = new CharacteristicTransport(handshake, transfer);
+  const onFrame = jest.fn();
+  const onError = jest.fn();
+
+  const unsubscribe = transport.subscribe(onFrame, onError);
+  transfer.listener(null, { value: 'AQID' });
+  handshake.listener(new Error('link lost'), null);
+
+  expect(onFrame).toHaveBeenCalledWith(CHANNEL_TRANSFER, Uint8Array.of(1, 2, 3));
+  expect(onError).toHaveBeenCalledWith(new Error('Notification error: link lost'));
+  expect(onError.mock.calls[0][0].code).toBe(ERROR_LINK_LOST);
+
+  unsubscribe();
+  expect(handshake.monitor.mock.results[0].value.remove).toHaveBeenCalled();
+  expect(transfer.monitor.mock.results[0].value.remove).toHaveBeenCalled();
+});
+
+test('a failed write is reported as a lost link', async () => {
+  const handshake = fakeCharacteristic();
+  const transfer = fakeCharacteristic();
+  transfer.writeWithoutResponse.mockRejectedValue(new Error('Device is not connected'));
+  const transport = new CharacteristicTransport(handshake, transfer);
+
+  await expect(transport.send(CHANNEL_TRANSFER, Uint8Array.of(4))).rejects.toMatchObject({
+    message: 'Write error: Device is not connected',
+    code: ERROR_LINK_LOST,
+  });
+});
@@ -0,0 +1,93 @@
+import SendWindow from '../src/SendWindow';
+
+// Take every chunk the window lets out right now
+const drain = (window) => {
+  const sent = [];
+  let index;
+  while ((index = window.nextChunk()) !== null) {
+    sent.push(index);
+  }
+  return sent;
+};
+
+test('keeps at most a window of chunks in flight', () => {
+  const window = new SendWindow(10, { size: 4 });
+  expect(drain(window)).toEqual([0, 1, 2, 3]);
+  window.acknowledge(2, []);
+  expect(drain(window)).toEqual([4, 5]);
+});
+
+test('grows by about one chunk per window acknowledged without loss', () => {
+  const window = new SendWindow(100, { size: 4 });
+  drain(window);
+  window.acknowledge(4, []);
+  expect(window.size).toBeCloseTo(5);
+});
+
+test('never grows past the maximum size', () => {
+  const window = new SendWindow(100, { size: 4, maxSize: 4 });
+  drain(window);
+  window.acknowledge(4, []);
+  expect(window.size).toBe(4);
+});
+
+test('resends only the chunks a selective ACK shows missing and halves the window', () => {
+  const window = new SendWindow(10, { size: 8 });
+  drain(window);
+  // Chunks 2 and 5 were lost
+  window.acknowledge(2, [3, 4, 6, 7]);
+  expect(window.size).toBe(4);
+  expect(drain(window)).toEqual([2, 5]);
+  window.acknowledge(8, []);
+  expect(window.isComplete).toBe(false);
+  expect(drain(window)).toEqual([8, 9]);
+  window.acknowledge(10, []);
+  expect(window.isComplete).toBe(true);
+});
+
+test('halves the window once per round of losses', () => {
+  const window = new SendWindow(10, { size: 8 });
+  drain(window);
+  window.acknowledge(1, [2]);
+  window.acknowledge(1, [2, 3, 4, 5]);
+  expect(window.size).toBe(4);
+});
+
+test('treats a resent chunk as lost again only after a later write is acknowledged', () => {
+  const window = new SendWindow(10, { size: 4 });
+  drain(window);
+  window.acknowledge(0, [1]);
+  expect(drain(window)).toEqual([0]);
+  // The ACK for chunk 2 was sent before the resent chunk 0 arrived
+  window.acknowledge(0, [1, 2]);
+  expect(drain(window)).toEqual([]);
+});
+
+test('an empty transfer is complete from the start', () => {
+  const window = new SendWindow(0);
+  expect(window.isComplete).toBe(true);
+  expect(window.nextChunk()).toBeNull();
+});
+
+test('a timeout queues the chunk again and halves the window', () => {
+  const window = new SendWindow(10, { size: 4 });
+  drain(window);
+  window.timeout(3);
+  expect(window.size).toBe(2);
+  expect(drain(window)).toEqual([3]);
+  expect(window.retries[3]).toBe(1);
+});
+
+test('never sends the chunks the receiver already holds', () => {
+  const window = new SendWindow(10, {
+    size: 4,
+    held: [
+      [0, 3],
+      [5, 6],
+    ],
+  });
+  expect(window.ackedCount).toBe(4);
+  expect(drain(window)).toEqual([3, 4, 6]);
+  window.acknowledge(7, []);
+  expect(drain(window)).toEqual([7, 8, 9]);
+});
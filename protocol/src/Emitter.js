@@ -0,0 +1,18 @@
+// Minimal event emitter so sessions can report to whichever UI drives them
+export default class Emitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  // Subscribe to an event; returns a function that unsubscribes
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter((l) => l !== listener);
+    };
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach((listener) => listener(...args));
+  }
+}
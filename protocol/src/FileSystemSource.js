@@ -0,0 +1,32 @@
+import { READ_BLOCK_SIZE } from './constants';
+import { base64ToBytes } from './encoding';
+
+// A file the sender reads chunk by chunk instead of loading it whole. `fs` is react-native-fs
+// or anything with the same read(path, length, position, 'base64') function.
+//
+// Reads go to disk a block at a time and the latest block is kept, so consecutive chunks cost
+// one native call per block. Only that block is held in memory, however large the file is.
+export default class FileSystemSource {
+  constructor(fs, path, { name, mimeType, size }) {
+    this.fs = fs;
+    this.path = path;
+    this.name = name;
+    this.mimeType = mimeType;
+    this.size = size;
+    this.block = null;
+    this.blockOffset = 0;
+  }
+
+  // Bytes from `offset` up to `length` of them, fewer at the end of the file
+  async read(offset, length) {
+    length = Math.max(0, Math.min(length, this.size - offset));
+    const { block, blockOffset } = this;
+    if (!block || offset < blockOffset || offset + length > blockOffset + block.length) {
+      const blockLength = Math.min(Math.max(length, READ_BLOCK_SIZE), this.size - offset);
+      this.block = base64ToBytes(await this.fs.read(this.path, blockLength, offset, 'base64'));
+      this.blockOffset = offset;
+    }
+    const start = offset - this.blockOffset;
+    return this.block.slice(start, start + length);
+  }
+}
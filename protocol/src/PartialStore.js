@@ -0,0 +1,166 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { READ_BLOCK_SIZE } from './constants';
+import { inflateBlocks } from './compression';
+import { base64ToBytes, bytesToBase64 } from './encoding';
+
+// Manifest fields that must match before stored chunks are reused
+const MATCHING_FIELDS = [
+  'transferId',
+  'name',
+  'size',
+  'compressedSize',
+  'chunkSize',
+  'chunkCount',
+  'sha256',
+];
+
+// Files being received, written to disk chunk by chunk so a transfer cut off by a disconnect
+// or crash can resume in a later session. `fs` is react-native-fs or anything with the same
+// exists, mkdir, readFile, writeFile, read, write, moveFile and unlink functions.
+//
+// Each transfer, keyed by its ID and file hash, has a .part file with every chunk at its
+// offset, a .json file with the manifest, written once, and a .held file with a bitmap of the
+// chunks written so far, updated a byte at a time as chunks arrive. The .part file becomes the received file once it is complete. A compressed file is inflated from
+// the .part file into a .out file, which becomes the received file instead.
+export default class PartialStore {
+  constructor(fs, directory) {
+    this.fs = fs;
+    this.directory = directory;
+    // Bitmap of the chunks held for each open transfer, by key
+    this.held = new Map();
+  }
+
+  key(manifest) {
+    return `${manifest.transferId}-${manifest.sha256}`;
+  }
+
+  paths(manifest) {
+    const base = `${this.directory}/${this.key(manifest)}`;
+    return {
+      data: `${base}.part`,
+      output: `${base}.out`,
+      state: `${base}.json`,
+      held: `${base}.held`,
+    };
+  }
+
+  // Chunks already on disk for the transfer, as a sparse array of `true` indexed by sequence
+  // number. Starts an empty partial when there is none, or when the stored one is for a
+  // different file.
+  async open(manifest) {
+    const paths = this.paths(manifest);
+    const stored = await this.readState(paths.state);
+    const held =
+      stored && MATCHING_FIELDS.every((field) => stored.manifest[field] === manifest[field])
+        ? await this.readHeld(paths.held, manifest)
+        : null;
+    if (held) {
+      this.held.set(this.key(manifest), held);
+      const chunks = new Array(manifest.chunkCount);
+      for (let index = 0; index < manifest.chunkCount; index++) {
+        if (held[index >> 3] & (1 << (index & 7))) {
+          chunks[index] = true;
+        }
+      }
+      return chunks;
+    }
+
+    if (!(await this.fs.exists(this.directory))) {
+      await this.fs.mkdir(this.directory);
+    }
+    // The manifest goes last, so a partial is only found once its other files are in place
+    const empty = new Uint8Array(Math.ceil(manifest.chunkCount / 8));
+    await this.fs.writeFile(paths.data, '', 'base64');
+    await this.fs.writeFile(paths.held, bytesToBase64(empty), 'base64');
+    await this.fs.writeFile(paths.state, JSON.stringify({ manifest }), 'utf8');
+    this.held.set(this.key(manifest), empty);
+    return new Array(manifest.chunkCount);
+  }
+
+  // The chunk data goes to disk before the bitmap claims it, so a crash never leaves the
+  // bitmap pointing at a chunk that was not written. Only the bitmap byte holding the chunk's
+  // bit is written again.
+  async saveChunk(manifest, index, bytes) {
+    const paths = this.paths(manifest);
+    await this.fs.write(paths.data, bytesToBase64(bytes), index * manifest.chunkSize, 'base64');
+    const held = this.held.get(this.key(manifest));
+    const offset = index >> 3;
+    held[offset] |= 1 << (index & 7);
+    await this.fs.write(
+      paths.held,
+      bytesToBase64(held.subarray(offset, offset + 1)),
+      offset,
+      'base64'
+    );
+  }
+
+  // SHA-256 of the file written so far, read back a block at a time. A compressed file is
+  // inflated to its .out file on the way, and the digest is of what it inflates to; throws if
+  // it does not inflate.
+  async digest(manifest) {
+    const { data, output } = this.paths(manifest);
+    const hash = sha256.create();
+    const read = async (offset, length) =>
+      base64ToBytes(await this.fs.read(data, length, offset, 'base64'));
+    if (manifest.compression === undefined) {
+      for (let offset = 0; offset < manifest.size; offset += READ_BLOCK_SIZE) {
+        hash.update(await read(offset, Math.min(READ_BLOCK_SIZE, manifest.size - offset)));
+      }
+      return hash.digest();
+    }
+
+    await this.fs.writeFile(output, '', 'base64');
+    let written = 0;
+    await inflateBlocks(manifest.compressedSize, manifest.size, read, async (block) => {
+      hash.update(block);
+      await this.fs.write(output, bytesToBase64(block), written, 'base64');
+      written += block.length;
+    });
+    return hash.digest();
+  }
+
+  // Move a complete file to `path` in one rename, so it never appears there half written
+  async complete(manifest, path) {
+    const paths = this.paths(manifest);
+    if (manifest.compression === undefined) {
+      await this.fs.moveFile(paths.data, path);
+    } else {
+      await this.fs.moveFile(paths.output, path);
+      await this.fs.unlink(paths.data);
+    }
+    this.held.delete(this.key(manifest));
+    await this.fs.unlink(paths.state);
+    await this.fs.unlink(paths.held);
+  }
+
+  // Drop a transfer whose file will not be completed
+  async discard(manifest) {
+    this.held.delete(this.key(manifest));
+    for (const path of Object.values(this.paths(manifest))) {
+      if (await this.fs.exists(path)) {
+        await this.fs.unlink(path);
+      }
+    }
+  }
+
+  async readState(path) {
+    if (!(await this.fs.exists(path))) {
+      return null;
+    }
+    try {
+      return JSON.parse(await this.fs.readFile(path, 'utf8'));
+    } catch (err) {
+      // A state file cut short by a crash: start the transfer over
+      return null;
+    }
+  }
+
+  // The bitmap of chunks held, or null when it is missing or not the manifest's length
+  async readHeld(path, manifest) {
+    if (!(await this.fs.exists(path))) {
+      return null;
+    }
+    const held = base64ToBytes(await this.fs.readFile(path, 'base64'));
+    return held.length === Math.ceil(manifest.chunkCount / 8) ? held : null;
+  }
+}
@@ -0,0 +1,630 @@
+import Session from './Session';
+import { equalBytes } from '@noble/ciphers/utils';
+import { sha256 } from '@noble/hashes/sha256';
+import {
+  ACK_OFFER_PENDING,
+  DECISION_TIMEOUT_MS,
+  ERROR_INTEGRITY,
+  FEATURE_RESUME,
+  FAILURE_KEY_COMMITMENT,
+  FAILURE_PAIRING,
+  FLAG_MORE_FRAGMENTS,
+  FRAME_ABORT,
+  FRAME_ACK,
+  FRAME_BATCH,
+  FRAME_CHUNK,
+  FRAME_HELLO,
+  FRAME_KEY_COMMITMENT,
+  FRAME_KEY_CONFIRM,
+  FRAME_MANIFEST,
+  FRAME_PAIRING_PROOF,
+  FRAME_PUBLIC_KEY,
+  FRAME_TRAILER,
+  OFFER_ACCEPTED,
+  OFFER_DECLINED,
+  TRAILER_REJECTED,
+  TRAILER_VERIFIED,
+  TRANSFER_ID_LENGTH,
+} from './constants';
+import { frameNonce, generateEphemeralKeyPair, publicKeyCommitment } from './crypto';
+import { encodeChunkAck, encodeChunkRanges } from './ack';
+import { batchProgress, decodeBatch } from './batch';
+import { maxChunkSize } from './chunker';
+import { inflateBlocks } from './compression';
+import { bytesToHex, concatBytes } from './encoding';
+import { codedError } from './errors';
+import { frameAad } from './frame';
+import { verifyFileDigest, verifyTransferAbort } from './identity';
+import { chunkLength, openManifest, streamSize } from './manifest';
+import { pairingProof } from './pairing';
+
+// Names of the announcements collected from fragments, for errors
+const ANNOUNCEMENTS = {
+  [FRAME_MANIFEST]: 'Manifest',
+  [FRAME_BATCH]: 'Batch',
+  [FRAME_ABORT]: 'Abort',
+};
+
+// Length of the file hash an abort names its transfer's partial by
+const ABORT_DIGEST_LENGTH = 32;
+
+// Receiving end: answers the key exchange, then collects chunks announced by a manifest.
+// Without `partials` the chunks are kept in memory and 'file' carries the file's data.
+// With a PartialStore as `partials`, each chunk is written straight to disk, so memory use
+// stays flat and a transfer cut off by a disconnect or crash resumes in a later session. Once
+// the file checks out it is moved to the path `destination(manifest)` resolves to, and 'file'
+// carries that path.
+//
+// Every batch and file offered is taken unless `approve` is given: it is called with
+// { manifest, batch, peer } for a file, with `batch` set when the file is part of one, or with
+// { batch, peer } for a batch as a whole, and resolves true to accept. An offer not answered
+// within `decisionTimeout` ms, which the sender stops waiting after, counts as declined; the
+// `signal` that `approve` also gets aborts then, so a prompt can be taken down. A declined
+// offer is reported with 'declined' and the sender is told.
+//
+// `maxFileSize()` gives the most bytes a file may take, or null for no limit. A file whose
+// manifest claims more is declined, and one whose chunks come to more is dropped.
+export default class ReceiverSession extends Session {
+  constructor(
+    transport,
+    {
+      partials = null,
+      destination = null,
+      approve = null,
+      decisionTimeout = DECISION_TIMEOUT_MS,
+      maxFileSize = () => null,
+      ...options
+    } = {}
+  ) {
+    super(transport, false, options);
+    if (partials && !destination) {
+      throw new Error('A destination is required to save files received to disk');
+    }
+    this.partials = partials;
+    this.destination = destination;
+    // Without a PartialStore nothing is kept to resume from
+    if (!partials) {
+      this.features &= ~FEATURE_RESUME;
+    }
+    this.approve = approve;
+    this.decisionTimeout = decisionTimeout;
+    this.maxFileSize = maxFileSize;
+    this.senderCommitment = null;
+    // Manifest of the latest transfer, kept after the file completes so chunks the sender writes
+    // again are still recognised
+    this.manifest = null;
+    // Fragments of the latest manifest or batch manifest: { type, transfer, fragments,
+    // isComplete, lastAck }, where lastAck is the body of the ACK that answered the last one
+    this.latestAnnouncement = null;
+    // Batch manifest the files that follow belong to, if any
+    this.batch = null;
+    // Chunks received so far by index; just `true` for the ones that went to disk
+    this.receivedChunks = [];
+    this.receivedCount = 0;
+    this.receivedBytes = 0;
+    // Every chunk below this one has arrived
+    this.cumulativeAck = 0;
+    // Fragments of the latest transfer's trailer and, once checked, the verdict sent back:
+    // { fragments, verdict }
+    this.trailer = null;
+    // Number of the next chunk ACK, counting from zero in every transfer
+    this.chunkAckSerial = 0;
+    // Transfers already started in this session; their manifests are not accepted again
+    this.seenTransfers = new Set();
+  }
+
+  start() {
+    this.listen();
+  }
+
+  async handleHandshake(frame) {
+    const { type, payload } = frame;
+    switch (type) {
+      case FRAME_KEY_COMMITMENT:
+        return this.answerKeyExchange(payload);
+      case FRAME_PUBLIC_KEY:
+        return this.acceptSenderPublicKey(payload);
+      case FRAME_PAIRING_PROOF:
+        return this.acceptPairingProof(payload);
+      case FRAME_KEY_CONFIRM:
+        return this.confirmKeyExchange(payload);
+      default:
+        return super.handleHandshake(frame);
+    }
+  }
+
+  // Answer the sender's hello with ours, whatever it offers, so it can tell what we lack
+  async acceptHello(payload) {
+    await this.sendHandshake(FRAME_HELLO, this.hello());
+    await super.acceptHello(payload);
+  }
+
+  // The sender commits to its public key after its hello; reply with ours. Each key exchange
+  // needs a hello of its own.
+  async answerKeyExchange(commitment) {
+    const senderHello = this.peerHello;
+    if (!senderHello) {
+      await this.refuseWithoutHello();
+      return;
+    }
+    if (!this.agreement) {
+      return;
+    }
+    this.peerHello = null;
+    this.resetHandshake();
+    this.senderCommitment = { commitment, senderHello };
+    this.ephemeralKeyPair = generateEphemeralKeyPair();
+    await this.sendHandshake(FRAME_PUBLIC_KEY, this.ephemeralKeyPair.publicKey);
+  }
+
+  // The revealed key must match the commitment before we derive anything from it
+  async acceptSenderPublicKey(senderPublicKey) {
+    if (!this.senderCommitment) {
+      throw new Error('Public key received before commitment');
+    }
+    const { commitment, senderHello } = this.senderCommitment;
+    this.senderCommitment = null;
+    if (!equalBytes(publicKeyCommitment(senderPublicKey), commitment)) {
+      await this.failHandshake(FAILURE_KEY_COMMITMENT);
+      return;
+    }
+    this.deriveKeys(senderPublicKey, senderHello);
+  }
+
+  // The sender scanned our QR code; its token is good for one handshake only
+  async acceptPairingProof(mac) {
+    if (!this.keys) {
+      throw new Error('Pairing proof received before key exchange');
+    }
+    if (!this.pairing || !equalBytes(mac, pairingProof(this.pairing.token, this.transcript))) {
+      await this.failHandshake(FAILURE_PAIRING);
+      return;
+    }
+    this.pairing = null;
+    this.isPaired = true;
+  }
+
+  // Check the sender's confirmation, then prove our own identity and keys
+  async confirmKeyExchange(mac) {
+    if (!this.keys) {
+      throw new Error('Key confirmation received before key exchange');
+    }
+    const failure = await this.verifyKeyConfirmation(mac);
+    if (failure) {
+      return;
+    }
+    await this.sendProofs();
+    await this.announceSecure();
+  }
+
+  async handleTransferFrame(frame) {
+    if (!this.isSecure) {
+      throw new Error('Frame received before key exchange');
+    }
+    if (!this.isVerified) {
+      throw new Error('Frame received before the sender was verified');
+    }
+    switch (frame.type) {
+      case FRAME_MANIFEST:
+        return this.processManifest(frame);
+      case FRAME_CHUNK:
+        return this.processChunk(frame);
+      case FRAME_TRAILER:
+        return this.processTrailer(frame);
+      case FRAME_BATCH:
+        return this.processBatch(frame);
+      case FRAME_ABORT:
+        return this.processAbort(frame);
+      default:
+        throw new Error('Unknown frame type: ' + frame.type);
+    }
+  }
+
+  // Collect the fragments of a manifest, batch or abort announcement. The first one starts with
+  // the transfer or batch ID in clear, which gives the nonces for the message and its ACKs.
+  // Resolves with { type, transfer, fragments } once the last fragment is in, and with null
+  // while more are to come or when a fragment was only written again.
+  async collectAnnouncement({ type, seq, flags, payload }) {
+    const label = ANNOUNCEMENTS[type];
+    // The sender writes a fragment again when our ACK was lost; answer it the same way
+    const latest = this.latestAnnouncement;
+    if (
+      latest &&
+      latest.type === type &&
+      seq < latest.fragments.length &&
+      equalBytes(payload, latest.fragments[seq])
+    ) {
+      // Sealed with the same nonce, so the body has to be the same too
+      const isLast = latest.isComplete && seq === latest.fragments.length - 1;
+      await this.sendAck(latest.transfer, type, seq, isLast ? latest.lastAck : undefined);
+      return null;
+    }
+    if (seq === 0) {
+      const transferId = payload.slice(0, TRANSFER_ID_LENGTH);
+      // Only an abort may name a transfer already started
+      if (type !== FRAME_ABORT && this.seenTransfers.has(bytesToHex(transferId))) {
+        throw new Error(`${label} error: transfer ${bytesToHex(transferId)} was already received`);
+      }
+      this.latestAnnouncement = {
+        type,
+        transfer: this.transferContext(transferId),
+        fragments: [],
+        isComplete: false,
+      };
+    }
+    const pending = this.latestAnnouncement;
+    if (
+      !pending ||
+      pending.type !== type ||
+      pending.isComplete ||
+      seq !== pending.fragments.length
+    ) {
+      throw new Error(`${label} error: fragment ${seq} out of order`);
+    }
+    pending.fragments.push(payload);
+    if (flags & FLAG_MORE_FRAGMENTS) {
+      await this.sendAck(pending.transfer, type, seq);
+      return null;
+    }
+    // Only an announcement that opens is answered when its fragments are written again
+    this.latestAnnouncement = null;
+    return pending;
+  }
+
+  // Answer the last fragment of an announcement that opened, and keep the answer for the
+  // sender's next attempt if the ACK is lost
+  acceptAnnouncement(pending, lastAck) {
+    this.latestAnnouncement = { ...pending, isComplete: true, lastAck };
+    return this.sendAck(pending.transfer, pending.type, pending.fragments.length - 1, lastAck);
+  }
+
+  async processManifest(frame) {
+    const pending = await this.collectAnnouncement(frame);
+    if (!pending) {
+      return;
+    }
+    const { transfer } = pending;
+    const sealed = concatBytes(...pending.fragments).subarray(TRANSFER_ID_LENGTH);
+    let manifest;
+    this.checkCipher();
+    try {
+      manifest = openManifest(this.receiveKey, sealed, {
+        nonce: frameNonce(transfer.receiveNonceBase, FRAME_MANIFEST, 0),
+        aad: frameAad(transfer.id, FRAME_MANIFEST, 0),
+        maxChunkSize: maxChunkSize(this.transport.mtu),
+      });
+    } catch (err) {
+      throw new Error('Manifest error: ' + err.message);
+    }
+    if (manifest.transferId !== bytesToHex(transfer.id)) {
+      throw new Error('Manifest error: transfer ID mismatch');
+    }
+    if (manifest.compression !== undefined && !this.compressionAgreed) {
+      throw new Error(`Manifest error: ${manifest.name} is compressed but compression is off`);
+    }
+    // A file of a batch must be the one the batch manifest listed at its index
+    if (manifest.batchId !== undefined) {
+      const listed = this.batch?.batchId === manifest.batchId && this.batch.files[manifest.index];
+      if (!listed || listed.path !== manifest.path || listed.size !== manifest.size) {
+        throw new Error(`Manifest error: ${manifest.name} is not part of the announced batch`);
+      }
+    }
+    this.seenTransfers.add(manifest.transferId);
+    const offer = { manifest, batch: manifest.batchId !== undefined ? this.batch : null };
+    if (this.isOverSizeLimit(Math.max(manifest.size, streamSize(manifest)))) {
+      this.emit('declined', offer);
+      await this.acceptAnnouncement(pending, Uint8Array.of(OFFER_DECLINED));
+      return;
+    }
+    if (!(await this.decide(pending, offer))) {
+      this.emit('declined', offer);
+      await this.acceptAnnouncement(pending, Uint8Array.of(OFFER_DECLINED));
+      return;
+    }
+    this.reserveChunks(manifest.chunkCount);
+    this.manifest = manifest;
+    this.transfer = transfer;
+    // Pick up whatever an interrupted attempt at this transfer left behind, unless the sender
+    // does not resume and would send it all again anyway
+    if (this.partials && !this.resumeAgreed) {
+      await this.partials.discard(manifest);
+    }
+    this.receivedChunks = this.partials
+      ? await this.partials.open(manifest)
+      : new Array(manifest.chunkCount);
+    this.receivedCount = this.receivedChunks.reduce((count) => count + 1, 0);
+    this.receivedBytes = this.receivedChunks.reduce(
+      (bytes, chunk, index) => bytes + chunkLength(manifest, index),
+      0
+    );
+    this.cumulativeAck = 0;
+    while (this.receivedChunks[this.cumulativeAck] !== undefined) {
+      this.cumulativeAck++;
+    }
+    this.chunkAckSerial = 0;
+    this.trailer = null;
+    this.emit('manifest', manifest);
+
+    // The sender learns which chunks it can skip from the last manifest ACK
+    const ranges = encodeChunkRanges(this.receivedChunks, maxChunkSize(this.transport.mtu) - 1);
+    await this.acceptAnnouncement(pending, concatBytes(Uint8Array.of(OFFER_ACCEPTED), ranges));
+
+    if (this.receivedCount > 0) {
+      this.emitProgress(Math.round((this.receivedCount / manifest.chunkCount) * 100));
+    }
+  }
+
+  // A batch manifest lists the files about to follow, each as its own transfer
+  async processBatch(frame) {
+    const pending = await this.collectAnnouncement(frame);
+    if (!pending) {
+      return;
+    }
+    const { transfer } = pending;
+    const sealed = concatBytes(...pending.fragments).subarray(TRANSFER_ID_LENGTH);
+    let batch;
+    try {
+      batch = decodeBatch(this.open(transfer, FRAME_BATCH, 0, sealed));
+    } catch (err) {
+      throw new Error('Batch error: ' + err.message);
+    }
+    if (batch.batchId !== bytesToHex(transfer.id)) {
+      throw new Error('Batch error: batch ID mismatch');
+    }
+    this.seenTransfers.add(batch.batchId);
+    if (!(await this.decide(pending, { batch }))) {
+      this.batch = null;
+      this.emit('declined', { batch });
+      await this.acceptAnnouncement(pending, Uint8Array.of(OFFER_DECLINED));
+      return;
+    }
+    this.batch = batch;
+    this.emit('batch', batch);
+    await this.acceptAnnouncement(pending, Uint8Array.of(OFFER_ACCEPTED));
+  }
+
+  isOverSizeLimit(bytes) {
+    const limit = this.maxFileSize();
+    return limit !== null && bytes > limit;
+  }
+
+  // Whether to take an offered file or batch. The sender is told at once that the user is
+  // deciding, so it waits for the answer. Frames wait meanwhile, including the sender's copies
+  // of the offer, which are answered once we have decided.
+  async decide(pending, offer) {
+    if (!this.approve) {
+      return true;
+    }
+    await this.sendAck(pending.transfer, ACK_OFFER_PENDING, pending.fragments.length - 1);
+    const peer = { peerId: this.peerId, fingerprint: this.peerFingerprint, trust: this.trust };
+    // An answer that comes after the sender gave up is too late, whatever it is
+    const expiry = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        resolve(false);
+        expiry.abort();
+      }, this.decisionTimeout);
+    });
+    try {
+      const answer = this.approve({ ...offer, peer, signal: expiry.signal });
+      return (await Promise.race([answer, timeout])) === true;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // The sender cancelled a transfer, in this session or an earlier one. The abort is signed by
+  // its identity key, so nobody else can make us drop a partial file.
+  async processAbort(frame) {
+    const pending = await this.collectAnnouncement(frame);
+    if (!pending) {
+      return;
+    }
+    const { transfer } = pending;
+    const sealed = concatBytes(...pending.fragments).subarray(TRANSFER_ID_LENGTH);
+    let body;
+    try {
+      body = this.open(transfer, FRAME_ABORT, 0, sealed);
+    } catch (err) {
+      throw new Error('Abort error: ' + err.message);
+    }
+    const digest = body.subarray(0, ABORT_DIGEST_LENGTH);
+    const signature = body.subarray(ABORT_DIGEST_LENGTH);
+    if (!verifyTransferAbort(this.peerIdentityKey, transfer.id, digest, signature)) {
+      throw new Error('Abort error: signature invalid');
+    }
+    const transferId = bytesToHex(transfer.id);
+    // A cancelled transfer is not started again
+    this.seenTransfers.add(transferId);
+    if (this.manifest?.transferId === transferId) {
+      this.manifest = null;
+      this.transfer = null;
+      this.receivedChunks = [];
+      this.receivedCount = 0;
+      this.trailer = null;
+    }
+    if (this.partials) {
+      await this.partials.discard({ transferId, sha256: bytesToHex(digest) });
+    }
+    await this.acceptAnnouncement(pending, new Uint8Array(0));
+    this.emit('aborted', { transferId });
+  }
+
+  // Chunks are placed by sequence number; the associated data ties each one to this transfer
+  // and index, so a chunk from another transfer or slot fails to decrypt
+  async processChunk({ seq, payload }) {
+    if (!this.manifest) {
+      throw new Error('Chunk received before manifest');
+    }
+    const { chunkCount } = this.manifest;
+    if (seq >= chunkCount) {
+      throw new Error(`Chunk ${seq} is out of range (${chunkCount} chunks)`);
+    }
+    const chunk = this.open(this.transfer, FRAME_CHUNK, seq, payload);
+    // Every chunk fills its slot exactly, so the file is as long as the manifest says
+    const length = chunkLength(this.manifest, seq);
+    if (chunk.length !== length) {
+      throw new Error(`Chunk ${seq} is ${chunk.length} bytes instead of ${length}`);
+    }
+    // A chunk written again after its ACK was lost is acknowledged again but kept only once
+    if (seq < this.cumulativeAck || this.receivedChunks[seq] !== undefined) {
+      await this.sendChunkAck();
+      return;
+    }
+    // The manifest's size was checked against the limit, but the bytes themselves count
+    if (this.isOverSizeLimit(this.receivedBytes + chunk.length)) {
+      const { manifest } = this;
+      this.manifest = null;
+      if (this.partials) {
+        await this.partials.discard(manifest);
+      }
+      throw new Error(
+        `Size error: transfer ${manifest.transferId} (${manifest.name}) is over the size ` +
+          'limit; the file was discarded'
+      );
+    }
+    // On disk before it is acknowledged, so a resumed transfer never skips a chunk we lost
+    if (this.partials) {
+      await this.partials.saveChunk(this.manifest, seq, chunk);
+    }
+    this.receivedChunks[seq] = this.partials ? true : chunk;
+    this.receivedCount++;
+    this.receivedBytes += chunk.length;
+    while (this.receivedChunks[this.cumulativeAck] !== undefined) {
+      this.cumulativeAck++;
+    }
+
+    await this.sendChunkAck();
+
+    // Update progress against the chunk count announced in the manifest; the file is complete
+    // once the trailer checks out
+    this.emitProgress(Math.round((this.receivedCount / chunkCount) * 100));
+  }
+
+  // The trailer carries the sender's signature over the SHA-256 of the file. Its fragments are
+  // collected like the manifest's, and the last one is answered with the verdict.
+  async processTrailer({ seq, flags, payload }) {
+    const { manifest } = this;
+    if (!manifest || this.receivedCount < manifest.chunkCount) {
+      throw new Error('Trailer received before the last chunk');
+    }
+    const trailer = this.trailer;
+    if (trailer && seq < trailer.fragments.length && equalBytes(payload, trailer.fragments[seq])) {
+      const isLast = trailer.verdict && seq === trailer.fragments.length - 1;
+      await this.sendAck(this.transfer, FRAME_TRAILER, seq, isLast ? trailer.verdict : undefined);
+      return;
+    }
+    if (seq === 0 && !trailer) {
+      this.trailer = { fragments: [], verdict: null };
+    }
+    if (!this.trailer || this.trailer.verdict || seq !== this.trailer.fragments.length) {
+      throw new Error(`Trailer fragment ${seq} out of order`);
+    }
+    this.trailer.fragments.push(payload);
+    if (flags & FLAG_MORE_FRAGMENTS) {
+      await this.sendAck(this.transfer, FRAME_TRAILER, seq);
+      return;
+    }
+
+    let signature;
+    try {
+      signature = this.open(
+        this.transfer,
+        FRAME_TRAILER,
+        0,
+        concatBytes(...this.trailer.fragments)
+      );
+    } catch (err) {
+      // Let the sender's next attempt start over
+      this.trailer = null;
+      throw err;
+    }
+    const { data, digest } = await this.receivedFile(manifest);
+    const isIntact =
+      digest !== null &&
+      bytesToHex(digest) === manifest.sha256 &&
+      verifyFileDigest(this.peerIdentityKey, this.transfer.id, digest, signature);
+    this.trailer.verdict = Uint8Array.of(isIntact ? TRAILER_VERIFIED : TRAILER_REJECTED);
+    await this.sendAck(this.transfer, FRAME_TRAILER, seq, this.trailer.verdict);
+
+    // The chunks are done with either way; a file that fails the check is never handed over
+    this.receivedChunks = [];
+    if (!isIntact) {
+      if (this.partials) {
+        await this.partials.discard(manifest);
+      }
+      throw codedError(
+        ERROR_INTEGRITY,
+        `Integrity error: transfer ${manifest.transferId} (${manifest.name}) does not match ` +
+          "the sender's signed digest; the file was discarded"
+      );
+    }
+    if (this.partials) {
+      const path = await this.destination(manifest);
+      await this.partials.complete(manifest, path);
+      this.emit('file', { manifest, path });
+    } else {
+      this.emit('file', { manifest, data });
+    }
+  }
+
+  // The received file's data, unless it went to disk, and its SHA-256. A compressed file is
+  // inflated first; one that does not inflate has no digest and fails the check.
+  async receivedFile(manifest) {
+    try {
+      if (this.partials) {
+        return { data: null, digest: await this.partials.digest(manifest) };
+      }
+      let data = this.assembleFile();
+      if (manifest.compression !== undefined) {
+        const blocks = [];
+        const read = async (offset, length) => data.subarray(offset, offset + length);
+        await inflateBlocks(data.length, manifest.size, read, async (block) => blocks.push(block));
+        data = concatBytes(...blocks);
+      }
+      return { data, digest: sha256(data) };
+    } catch (err) {
+      if (err.message !== 'Malformed compressed data') {
+        throw err;
+      }
+      return { data: null, digest: null };
+    }
+  }
+
+  // Progress of the current file and, for a file of a batch, of the whole batch
+  emitProgress(percent) {
+    this.emit('progress', percent);
+    const { batch, manifest } = this;
+    if (batch && manifest.batchId === batch.batchId) {
+      const overall = batchProgress(batch, manifest.index, percent);
+      this.emit('batchProgress', { index: manifest.index, percent, overall });
+    }
+  }
+
+  // ACKs are sealed with the acknowledged frame's type in the nonce. Announcement and trailer
+  // ACKs echo the fragment's sequence number; only the last one has a body.
+  sendAck(transfer, ackedType, seq, body = new Uint8Array(0)) {
+    const sealed = this.seal(transfer, FRAME_ACK, seq, body, ackedType);
+    return this.sendFrame(FRAME_ACK, sealed, { seq });
+  }
+
+  // Chunk ACKs report the cumulative point and a bitmap of the chunks received past it. They
+  // are numbered by their own counter, so no two ACKs of a transfer share a nonce.
+  sendChunkAck() {
+    const body = encodeChunkAck(this.cumulativeAck, this.receivedChunks);
+    return this.sendAck(this.transfer, FRAME_CHUNK, this.chunkAckSerial++, body);
+  }
+
+  // Join the received chunks. The manifest, transfer and cumulative ACK stay until the next
+  // manifest, in case the sender writes the last chunks again.
+  assembleFile() {
+    const data = new Uint8Array(this.receivedChunks.reduce((total, c) => total + c.length, 0));
+    let offset = 0;
+    for (const chunk of this.receivedChunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return data;
+  }
+}
@@ -0,0 +1,139 @@
+import { DEFAULT_WINDOW_SIZE, MAX_WINDOW_SIZE } from './constants';
+
+// Sender-side bookkeeping for the chunks of one transfer: which may go out next, which are in
+// flight and which were lost. The window grows by about one chunk per window acknowledged
+// without loss and halves when a loss is detected, like TCP congestion avoidance.
+// `held` lists [start, end) ranges the receiver already has, which are never sent.
+export default class SendWindow {
+  constructor(count, { size = DEFAULT_WINDOW_SIZE, maxSize = MAX_WINDOW_SIZE, held = [] } = {}) {
+    this.count = count;
+    this.maxSize = Math.min(maxSize, MAX_WINDOW_SIZE);
+    this.size = Math.max(1, Math.min(size, this.maxSize));
+    // Lowest chunk not yet acknowledged, and the lowest never sent
+    this.base = 0;
+    this.next = 0;
+    this.acked = new Array(count).fill(false);
+    this.ackedCount = 0;
+    // Number of the latest transmission of each chunk, counting every write and rewrite
+    this.sentAt = new Array(count).fill(-1);
+    this.retries = new Array(count).fill(0);
+    this.transmissions = 0;
+    this.latestAcked = -1;
+    // Lost chunks waiting to be written again, in order
+    this.lost = [];
+    // Losses among chunks sent before this transmission belong to the round already penalised,
+    // and the window does not grow again until every chunk below recoveryEnd is acknowledged
+    this.reducedAt = 0;
+    this.recoveryEnd = 0;
+
+    for (const [start, end] of held) {
+      for (let i = start; i < Math.min(end, count); i++) {
+        this.ackedCount += this.acked[i] ? 0 : 1;
+        this.acked[i] = true;
+      }
+    }
+    this.advanceBase();
+  }
+
+  advanceBase() {
+    while (this.base < this.count && this.acked[this.base]) {
+      this.base++;
+    }
+  }
+
+  get isComplete() {
+    return this.ackedCount === this.count;
+  }
+
+  // [start, end) ranges of the acknowledged chunks, in the form `held` takes
+  ackedRanges() {
+    const ranges = [];
+    for (let start = 0; start < this.count; start++) {
+      if (this.acked[start]) {
+        let end = start;
+        while (end < this.count && this.acked[end]) {
+          end++;
+        }
+        ranges.push([start, end]);
+        start = end;
+      }
+    }
+    return ranges;
+  }
+
+  // Next chunk to write, lost ones first, or null while the window is full. Marks it sent.
+  nextChunk() {
+    let index = null;
+    if (this.lost.length > 0) {
+      index = this.lost.shift();
+    } else {
+      while (this.next < this.count && this.acked[this.next]) {
+        this.next++;
+      }
+      if (this.next < Math.min(this.count, this.base + Math.floor(this.size))) {
+        index = this.next++;
+      }
+    }
+    if (index !== null) {
+      if (this.sentAt[index] >= 0) {
+        this.retries[index]++;
+      }
+      this.sentAt[index] = this.transmissions++;
+    }
+    return index;
+  }
+
+  // A chunk's retransmission timer ran out: queue it again and count it as a loss
+  timeout(index) {
+    if (this.acked[index] || this.lost.includes(index)) {
+      return;
+    }
+    this.lost.push(index);
+    if (this.sentAt[index] >= this.reducedAt) {
+      this.reduce();
+    }
+  }
+
+  reduce() {
+    this.size = Math.max(1, this.size / 2);
+    this.reducedAt = this.transmissions;
+    this.recoveryEnd = this.next;
+  }
+
+  // Apply a cumulative ACK and the chunks its bitmap marks received. Returns how many chunks
+  // were acknowledged for the first time.
+  acknowledge(cumulative, received) {
+    let newlyAcked = 0;
+    const ack = (index) => {
+      if (index >= this.next || this.acked[index]) {
+        return;
+      }
+      this.acked[index] = true;
+      this.latestAcked = Math.max(this.latestAcked, this.sentAt[index]);
+      newlyAcked++;
+    };
+    for (let i = this.base; i < Math.min(cumulative, this.next); i++) {
+      ack(i);
+    }
+    received.forEach(ack);
+    this.ackedCount += newlyAcked;
+    this.advanceBase();
+
+    // GATT delivers writes in order, so a chunk still unacknowledged after one written later
+    // has been acknowledged was lost
+    this.lost = this.lost.filter((index) => !this.acked[index]);
+    let lossDetected = false;
+    for (let i = this.base; i < this.next; i++) {
+      if (!this.acked[i] && this.sentAt[i] < this.latestAcked && !this.lost.includes(i)) {
+        this.lost.push(i);
+        lossDetected = lossDetected || this.sentAt[i] >= this.reducedAt;
+      }
+    }
+    if (lossDetected) {
+      this.reduce();
+    } else if (this.base >= this.recoveryEnd) {
+      this.size = Math.min(this.maxSize, this.size + newlyAcked / this.size);
+    }
+    return newlyAcked;
+  }
+}
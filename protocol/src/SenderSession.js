@@ -0,0 +1,746 @@
+import nacl from 'tweetnacl';
+import { sha256 } from '@noble/hashes/sha256';
+import Session from './Session';
+import SendWindow from './SendWindow';
+import {
+  ACK_OFFER_PENDING,
+  ACK_TIMEOUT_MS,
+  DECISION_TIMEOUT_MS,
+  DEFAULT_WINDOW_SIZE,
+  ERROR_CANCELLED,
+  ERROR_INTEGRITY,
+  ERROR_LINK_LOST,
+  ERROR_NO_ACK,
+  ERROR_PAUSED,
+  ERROR_REJECTED,
+  ERROR_REKEY_REQUIRED,
+  ERROR_SESSION_CLOSED,
+  FRAME_ABORT,
+  FRAME_ACK,
+  FRAME_BATCH,
+  FAILURE_PAIRING,
+  FLAG_MORE_FRAGMENTS,
+  FRAME_CHUNK,
+  FRAME_HELLO,
+  FRAME_IDENTITY,
+  FRAME_KEY_COMMITMENT,
+  FRAME_KEY_CONFIRM,
+  FRAME_MANIFEST,
+  FRAME_PAIRING_PROOF,
+  FRAME_PUBLIC_KEY,
+  FRAME_TRAILER,
+  MAX_RETRIES,
+  MAX_WINDOW_SIZE,
+  OFFER_ACCEPTED,
+  READ_BLOCK_SIZE,
+  TRAILER_VERIFIED,
+  TRANSFER_ID_LENGTH,
+} from './constants';
+import { decodeChunkAck, decodeChunkRanges } from './ack';
+import { batchProgress, createBatch, encodeBatch } from './batch';
+import { frameNonce, generateEphemeralKeyPair, publicKeyCommitment } from './crypto';
+import { chunkBytes, maxChunkSize, maxFramePayload } from './chunker';
+import { bytesToHex, concatBytes, hexToBytes } from './encoding';
+import { codedError } from './errors';
+import { frameAad } from './frame';
+import { signFileDigest, signTransferAbort } from './identity';
+import { DeflateSource, isCompressedType } from './compression';
+import { createManifest, sealManifest } from './manifest';
+import { pairingProof } from './pairing';
+
+// Announcements the receiver may accept or decline
+const OFFERS = [FRAME_MANIFEST, FRAME_BATCH];
+
+// Names of the fragmented frames, for errors
+const FRAGMENTED_FRAMES = {
+  [FRAME_MANIFEST]: 'manifest',
+  [FRAME_TRAILER]: 'trailer',
+  [FRAME_BATCH]: 'batch manifest',
+  [FRAME_ABORT]: 'abort',
+};
+
+// Failures that end a whole batch rather than one file: the link dropped or stopped
+// answering, the session closed, the keys ran out, or the user paused or cancelled the send
+const BATCH_ENDING_FAILURES = new Set([
+  ERROR_LINK_LOST,
+  ERROR_SESSION_CLOSED,
+  ERROR_NO_ACK,
+  ERROR_REKEY_REQUIRED,
+  ERROR_PAUSED,
+  ERROR_CANCELLED,
+]);
+const endsBatch = (err) => BATCH_ENDING_FAILURES.has(err.code);
+
+// Read an in-memory { name, mimeType, data } file the way a FileSystemSource is read
+const bytesSource = ({ name, mimeType, data }) => ({
+  name,
+  mimeType,
+  size: data.length,
+  read: async (offset, length) => data.subarray(offset, offset + length),
+});
+
+// SHA-256 of a source, read a block at a time. `checkpoint` runs before every block, so a
+// long read can be stopped.
+const hashSource = async (source, checkpoint) => {
+  const hash = sha256.create();
+  for (let offset = 0; offset < source.size; offset += READ_BLOCK_SIZE) {
+    checkpoint();
+    hash.update(await source.read(offset, READ_BLOCK_SIZE));
+  }
+  return bytesToHex(hash.digest());
+};
+
+const progress = (window) =>
+  window.count === 0 ? 100 : Math.round((window.ackedCount / window.count) * 100);
+
+// Sending end: starts the key exchange, then streams manifest and chunks with ACK handling
+export default class SenderSession extends Session {
+  // Chunks are sized to the transport's MTU unless `chunkSize` caps them lower. `windowSize`
+  // chunks may be in flight at first; the window then adapts to loss up to `maxWindowSize`, or
+  // the receiver's limit if its hello gives a lower one.
+  // A frame is written again after `ackTimeout` ms without an ACK, doubling the wait each
+  // time, and the transfer fails once it has been retried `maxRetries` times. The receiver's
+  // user has `decisionTimeout` ms to accept or decline a file or batch.
+  constructor(
+    transport,
+    {
+      chunkSize = null,
+      windowSize = DEFAULT_WINDOW_SIZE,
+      maxWindowSize = MAX_WINDOW_SIZE,
+      ackTimeout = ACK_TIMEOUT_MS,
+      maxRetries = MAX_RETRIES,
+      decisionTimeout = DECISION_TIMEOUT_MS,
+      ...options
+    } = {}
+  ) {
+    super(transport, true, options);
+    this.chunkSize = chunkSize;
+    this.windowSize = windowSize;
+    this.maxWindowSize = maxWindowSize;
+    this.ackTimeout = ackTimeout;
+    this.maxRetries = maxRetries;
+    this.decisionTimeout = decisionTimeout;
+    this.pendingAck = null;
+    // Time until which the offer in flight is awaited, once the receiver's user is deciding
+    this.decisionDeadline = 0;
+    // Chunks of the transfer in progress, and the number of the latest chunk ACK applied
+    this.window = null;
+    this.lastChunkAck = -1;
+    // Sealed chunks of the latest transfer that were written but not acknowledged, by index:
+    // { transfer, frames }. A chunk written again repeats these bytes, so a file that changed
+    // on disk never has other bytes sealed under the same nonce.
+    this.unackedChunks = null;
+    // Retransmission timer of each chunk in flight, and the error that ended the transfer
+    this.chunkTimers = new Map();
+    this.transferFailure = null;
+    // The sendFile or sendBatch in progress, and the error a pause or cancel stopped it with
+    this.sending = null;
+    this.interruption = null;
+    // Batch being sent, transfers announced in this session, and how far the latest one got if
+    // it was stopped: { transfer, batch, manifest, held }
+    this.currentBatch = null;
+    this.announcedTransfers = new Set();
+    this.stoppedTransfer = null;
+    // Chunk ranges the receiver has acknowledged in the latest transfer
+    this.ackedChunks = [];
+  }
+
+  // Perform key exchange: trade hellos, commit to our public key, wait for the receiver's,
+  // reveal ours, sign the transcript with our identity key, then confirm that both ends
+  // derived the same keys before anything is encrypted with them.
+  // Resolves with the short authentication string the user has to compare.
+  async start() {
+    this.ephemeralKeyPair = generateEphemeralKeyPair();
+    const { publicKey } = this.ephemeralKeyPair;
+    this.agreement = null;
+    this.peerHello = null;
+    const peerPublicKey = this.expect('peerPublicKey');
+    if (!this.unsubscribe) {
+      this.listen();
+    }
+    // The receiver answers our hello with its own before its public key; an incompatible one
+    // rejects peerPublicKey
+    await this.sendHandshake(FRAME_HELLO, this.hello());
+    await this.sendHandshake(FRAME_KEY_COMMITMENT, publicKeyCommitment(publicKey));
+    this.deriveKeys(await peerPublicKey, this.peerHello);
+
+    const peerConfirmation = this.expect('keyConfirmation');
+    const frames = [
+      [FRAME_PUBLIC_KEY, publicKey],
+      [FRAME_IDENTITY, this.identityProof()],
+      // With a scanned QR code, prove we hold its token
+      ...(this.pairing
+        ? [[FRAME_PAIRING_PROOF, pairingProof(this.pairing.token, this.transcript)]]
+        : []),
+      [FRAME_KEY_CONFIRM, this.keyConfirmation()],
+    ];
+    // The receiver may abort while we are still sending; its failure rejects peerConfirmation
+    for (const [type, payload] of frames) {
+      if (!this.keys) {
+        break;
+      }
+      await this.sendHandshake(type, payload);
+    }
+    const failure = await this.verifyKeyConfirmation(await peerConfirmation);
+    if (failure) {
+      throw failure;
+    }
+    await this.announceSecure();
+    return this.sas;
+  }
+
+  async handleHandshake(frame) {
+    const { type, payload } = frame;
+    switch (type) {
+      case FRAME_PUBLIC_KEY:
+        if (!this.peerHello) {
+          await this.refuseWithoutHello();
+        } else if (this.agreement) {
+          this.settle('peerPublicKey', payload);
+        }
+        break;
+      case FRAME_KEY_CONFIRM:
+        this.settle('keyConfirmation', payload);
+        break;
+      default:
+        await super.handleHandshake(frame);
+    }
+  }
+
+  // After scanning a QR code, only the receiver it came from may answer
+  async handleIdentity(payload) {
+    await super.handleIdentity(payload);
+    if (!this.pairing || !this.peerIdentityKey) {
+      return;
+    }
+    if (this.peerFingerprint !== this.pairing.fingerprint) {
+      await this.failHandshake(FAILURE_PAIRING);
+      return;
+    }
+    this.isPaired = true;
+  }
+
+  // ACKs are sealed under the receiver-to-sender key with the acknowledged frame type in the
+  // nonce, so they cannot be forged or replayed for another frame
+  async handleTransferFrame({ type, seq, payload }) {
+    if (type !== FRAME_ACK) {
+      return;
+    }
+    if (this.window) {
+      this.handleChunkAck(seq, payload);
+      return;
+    }
+    const pending = this.pendingAck;
+    // Only the ACK for the frame in flight counts; late duplicates of earlier ones are ignored
+    if (!pending || seq !== pending.seq) {
+      return;
+    }
+    let body;
+    try {
+      body = this.open(this.transfer, FRAME_ACK, seq, payload, pending.type);
+    } catch (err) {
+      // A chunk ACK still on its way when the last chunk was acknowledged may share its
+      // number with a trailer fragment
+      if (pending.type === FRAME_TRAILER && this.isLateChunkAck(seq, payload)) {
+        return;
+      }
+      // The receiver has the whole offer and its user is deciding on it: give them time
+      if (OFFERS.includes(pending.type) && this.isOfferPending(seq, payload)) {
+        this.decisionDeadline = Date.now() + this.decisionTimeout;
+        this.emit('awaitingDecision');
+        return;
+      }
+      throw err;
+    }
+    this.pendingAck = null;
+    this.settle('ack', body);
+  }
+
+  isOfferPending(seq, payload) {
+    try {
+      this.open(this.transfer, FRAME_ACK, seq, payload, ACK_OFFER_PENDING);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Chunk ACKs are numbered in the order the receiver sent them. Each one reports everything
+  // received so far, so an ACK older than one already applied has nothing new. A manifest or
+  // batch ACK the receiver wrote again may still arrive once chunks are going; it does not open
+  // as a chunk ACK and is ignored, like a late chunk ACK during the trailer.
+  handleChunkAck(seq, payload) {
+    if (seq <= this.lastChunkAck) {
+      return;
+    }
+    let body;
+    try {
+      body = this.open(this.transfer, FRAME_ACK, seq, payload, FRAME_CHUNK);
+    } catch (err) {
+      return;
+    }
+    const { cumulative, received } = decodeChunkAck(body);
+    this.lastChunkAck = seq;
+    const { window } = this;
+    if (window.acknowledge(cumulative, received) > 0) {
+      this.emit('progress', progress(window));
+    }
+    this.settle('chunkAck');
+  }
+
+  isLateChunkAck(seq, payload) {
+    if (seq <= this.lastChunkAck) {
+      return false;
+    }
+    try {
+      this.open(this.transfer, FRAME_ACK, seq, payload, FRAME_CHUNK);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Fresh key exchange on the same link, once the current keys have reached their chunk limit
+  rekey() {
+    return this.start();
+  }
+
+  // Wait before writing a frame again, after `retries` earlier retries
+  retransmitTimeout(retries) {
+    return this.ackTimeout * 2 ** retries;
+  }
+
+  // Write a manifest or trailer fragment, then wait until the receiver ACKs it, writing it
+  // again on every timeout. While the receiver's user decides on an offer it keeps trying past
+  // its retries, at the longest interval, until the decision deadline. Resolves with the ACK's
+  // body.
+  async sendAndWaitForAck(type, payload, { seq = 0, flags = 0 } = {}) {
+    this.decisionDeadline = 0;
+    for (
+      let retries = 0;
+      retries <= this.maxRetries || Date.now() < this.decisionDeadline;
+      retries++
+    ) {
+      this.checkInterruption();
+      const ack = this.expect('ack');
+      this.pendingAck = { type, seq };
+      await this.sendFrame(type, payload, { seq, flags });
+      let timer;
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(
+          () => resolve(null),
+          this.retransmitTimeout(Math.min(retries, this.maxRetries))
+        );
+      });
+      try {
+        const body = await Promise.race([ack, timeout]);
+        if (body) {
+          return body;
+        }
+      } catch (err) {
+        this.pendingAck = null;
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    this.pendingAck = null;
+    throw codedError(
+      ERROR_NO_ACK,
+      `Transfer failed: no ACK for ${FRAGMENTED_FRAMES[type]} fragment ${seq} after ` +
+        `${this.maxRetries} retries`
+    );
+  }
+
+  // Send a message in as many fragments as the MTU requires, one ACK at a time. Resolves with
+  // the body of the last fragment's ACK.
+  async sendFragments(type, message) {
+    const fragments = chunkBytes(message, maxFramePayload(this.transport.mtu));
+    let lastAck;
+    for (let i = 0; i < fragments.length; i++) {
+      const flags = i < fragments.length - 1 ? FLAG_MORE_FRAGMENTS : 0;
+      lastAck = await this.sendAndWaitForAck(type, fragments[i], { seq: i, flags });
+    }
+    return lastAck;
+  }
+
+  // Offer a file or batch: send its announcement and find out whether the receiver takes it.
+  // Resolves with the rest of the last ACK's body.
+  async sendOffer(type, message, description) {
+    const lastAck = await this.sendFragments(type, message);
+    if (lastAck[0] !== OFFER_ACCEPTED) {
+      throw codedError(ERROR_REJECTED, `Rejected by receiver: ${description}`);
+    }
+    return lastAck.subarray(1);
+  }
+
+  // Send a file as a manifest, encrypted chunks and a trailer with the signed digest of the
+  // file. Rejects with a 'Rejected by receiver' error if the receiver declines the file, and
+  // with an integrity error if it finds the file does not match it. The file is either
+  // { name, mimeType, data } or a source such as FileSystemSource, read one chunk at a time as
+  // the window moves, so large files never sit in memory whole. To resume a transfer cut off in
+  // an earlier session, pass its manifest as `resume`: the transfer is announced again under
+  // the new keys and only the chunks the receiver lacks are sent.
+  sendFile(file, options) {
+    return this.runSend(() => this.transmitFile(file, options));
+  }
+
+  async transmitFile(file, { resume = null, batch = null } = {}) {
+    if (!this.isSecure) {
+      throw new Error('Encryption key not established');
+    }
+    if (!this.isVerified) {
+      throw new Error('Receiver not verified');
+    }
+
+    const { mtu } = this.transport;
+    const original = file.read ? file : bytesSource(file);
+    const digest = await hashSource(original, () => this.checkInterruption());
+    // A transfer stopped in this session, with nothing announced since, carries on where it
+    // was: the receiver still expects its chunks, and announcing it again would only get the
+    // first announcement's ACK back
+    const stopped = this.stoppedTransfer;
+    this.stoppedTransfer = null;
+    if (
+      resume &&
+      stopped?.manifest.transferId === resume.transferId &&
+      stopped.transfer === this.transfer &&
+      stopped.manifest.sha256 === digest
+    ) {
+      this.emit('manifest', stopped.manifest);
+      return this.completeTransfer(stopped.source, stopped.manifest, stopped.held);
+    }
+    const source = await this.encodeSource(original);
+    // The receiver's partial copy is only of use for the same file, sent the same way and cut
+    // into the same chunks. It refuses a transfer announced earlier in this session, so that
+    // one starts over.
+    const resumable =
+      resume &&
+      this.resumeAgreed &&
+      resume.chunkSize <= maxChunkSize(mtu) &&
+      resume.sha256 === digest &&
+      (resume.compressedSize ?? resume.size) === source.size &&
+      !this.announcedTransfers.has(resume.transferId);
+    const chunkSize = resumable
+      ? resume.chunkSize
+      : Math.min(this.chunkSize || Infinity, maxChunkSize(mtu));
+    const transferId = resumable
+      ? hexToBytes(resume.transferId)
+      : nacl.randomBytes(TRANSFER_ID_LENGTH);
+    const chunkCount = Math.ceil(source.size / chunkSize);
+    const { name, mimeType, size } = original;
+    const manifest = createManifest(
+      {
+        name,
+        mimeType,
+        size,
+        sha256: digest,
+        ...(source !== original && { compressedSize: source.size }),
+      },
+      chunkSize,
+      chunkCount,
+      transferId,
+      batch
+    );
+    this.reserveChunks(chunkCount);
+    this.transfer = this.transferContext(transferId);
+    this.announcedTransfers.add(manifest.transferId);
+    this.emit('manifest', manifest);
+    this.checkCipher();
+    const sealed = sealManifest(this.sendKey, manifest, {
+      nonce: frameNonce(this.transfer.sendNonceBase, FRAME_MANIFEST, 0),
+      aad: frameAad(this.transfer.id, FRAME_MANIFEST, 0),
+    });
+    // The transfer ID goes in clear ahead of the sealed manifest so the receiver can derive
+    // its nonces. The message is usually longer than one write, so it may go in fragments.
+    const ranges = await this.sendOffer(
+      FRAME_MANIFEST,
+      concatBytes(this.transfer.id, sealed),
+      manifest.name
+    );
+    // The last manifest ACK lists the chunks the receiver kept from an interrupted attempt
+    return this.completeTransfer(source, manifest, decodeChunkRanges(ranges));
+  }
+
+  // The source as it goes over the air: deflated when the receiver takes compressed files,
+  // unless the file is of a type that is compressed already or deflate does not shrink it
+  async encodeSource(source) {
+    if (!this.compressionAgreed || isCompressedType(source.name, source.mimeType)) {
+      return source;
+    }
+    const deflated = new DeflateSource(source);
+    await deflated.prepare(() => this.checkInterruption());
+    return deflated.size < source.size ? deflated : source;
+  }
+
+  // Send the chunks the receiver does not hold, then the trailer. If a pause or cancel stops
+  // it, remember how far it got.
+  async completeTransfer(source, manifest, held) {
+    this.ackedChunks = held;
+    try {
+      await this.sendChunks(source, manifest, held);
+      this.checkInterruption();
+      await this.sendTrailer(manifest);
+    } catch (err) {
+      if (err === this.interruption) {
+        this.stoppedTransfer = {
+          transfer: this.transfer,
+          batch: this.currentBatch,
+          source,
+          manifest,
+          held: this.ackedChunks,
+        };
+      }
+      throw err;
+    }
+    return manifest;
+  }
+
+  // Send several files in one go: a batch manifest listing them all, then each file as its own
+  // transfer. `entries` are { file, path, resume }, with `file` as for sendFile and `path`
+  // where it goes relative to the receiver's folder, `/` separated. Each file delivered is
+  // reported with 'fileSent'. A file that fails on its own, one that cannot be read or that
+  // the receiver declines or rejects, is reported with 'fileFailed' and the batch moves on;
+  // losing the link, closing the session, running out of keys, or a pause or cancel ends the
+  // batch, and the
+  // receiver declining the whole batch rejects before any file goes. Resolves with
+  // { path, manifest } or { path, error } for every file.
+  sendBatch(entries) {
+    return this.runSend(() => this.transmitBatch(entries));
+  }
+
+  async transmitBatch(entries) {
+    if (!this.isSecure) {
+      throw new Error('Encryption key not established');
+    }
+    if (!this.isVerified) {
+      throw new Error('Receiver not verified');
+    }
+
+    const sources = entries.map(({ file }) => (file.read ? file : bytesSource(file)));
+    // A batch stopped in this session goes on under its first announcement when the entries
+    // are the files it had left, from the one it stopped in
+    const stopped = this.stoppedTransfer;
+    const remaining = stopped?.batch?.files.slice(stopped.manifest.index).map(({ path }) => path);
+    const continues =
+      stopped?.batch &&
+      stopped.transfer === this.transfer &&
+      remaining.length === entries.length &&
+      entries.every(({ path }, index) => path === remaining[index]);
+    let batch;
+    if (continues) {
+      batch = stopped.batch;
+    } else {
+      const batchId = nacl.randomBytes(TRANSFER_ID_LENGTH);
+      batch = createBatch(
+        entries.map(({ path }, index) => ({
+          path,
+          size: sources[index].size,
+          mimeType: sources[index].mimeType,
+        })),
+        batchId
+      );
+      this.transfer = this.transferContext(batchId);
+      this.emit('batch', batch);
+      const sealed = this.seal(this.transfer, FRAME_BATCH, 0, encodeBatch(batch));
+      await this.sendOffer(
+        FRAME_BATCH,
+        concatBytes(batchId, sealed),
+        `batch of ${batch.files.length} files`
+      );
+    }
+    // Position of the first entry in the batch as announced
+    const offset = batch.files.length - entries.length;
+
+    this.currentBatch = batch;
+    try {
+      return await this.transmitEntries(batch, offset, entries, sources);
+    } finally {
+      this.currentBatch = null;
+    }
+  }
+
+  async transmitEntries(batch, offset, entries, sources) {
+    const results = [];
+    for (let index = 0; index < entries.length; index++) {
+      const { path, resume = null } = entries[index];
+      const stopProgress = this.on('progress', (percent) => {
+        const overall = batchProgress(batch, offset + index, percent);
+        this.emit('batchProgress', { index, percent, overall });
+      });
+      try {
+        const manifest = await this.transmitFile(sources[index], {
+          resume,
+          batch: { batchId: batch.batchId, index: offset + index, path },
+        });
+        results.push({ path, manifest });
+        this.emit('fileSent', { index, path, manifest });
+      } catch (err) {
+        if (!this.isSecure || this.isClosed || endsBatch(err)) {
+          throw err;
+        }
+        results.push({ path, error: err });
+        this.emit('fileFailed', { index, path, error: err });
+      } finally {
+        stopProgress();
+      }
+    }
+    return results;
+  }
+
+  // Run a send, remembering it so a pause or cancel can stop it
+  async runSend(send) {
+    if (this.sending) {
+      throw new Error('Another transfer is in progress');
+    }
+    this.interruption = null;
+    this.sending = send();
+    try {
+      return await this.sending;
+    } finally {
+      this.sending = null;
+      this.interruption = null;
+    }
+  }
+
+  // Stop the send in progress with `err`: whatever it is waiting for fails at once, and it
+  // writes no frame after that. Returns false when nothing is being sent.
+  interrupt(err) {
+    if (!this.sending) {
+      return false;
+    }
+    this.interruption = err;
+    this.reject('ack', err);
+    this.reject('chunkAck', err);
+    return true;
+  }
+
+  checkInterruption() {
+    if (this.interruption) {
+      throw this.interruption;
+    }
+  }
+
+  // Stop the send in progress, which rejects with a 'Transfer paused' error. The receiver keeps
+  // the chunks it has, so sending the file again with its manifest as `resume` carries on.
+  async pauseTransfer() {
+    if (this.interrupt(codedError(ERROR_PAUSED, 'Transfer paused'))) {
+      await this.sending.catch(() => {});
+    }
+  }
+
+  // Stop the send in progress, if any, then have the receiver delete what it kept of the
+  // transfer `manifest` describes. The manifest can be from an earlier session.
+  async cancelTransfer(manifest) {
+    if (this.interrupt(codedError(ERROR_CANCELLED, 'Transfer cancelled'))) {
+      await this.sending.catch(() => {});
+    }
+    await this.sendAbort(manifest);
+  }
+
+  // The abort carries the transfer ID in clear, like a manifest, so it can name a transfer
+  // from an earlier session, and our identity key's signature over the ID and file hash
+  async sendAbort(manifest) {
+    if (!this.isVerified) {
+      throw new Error('Receiver not verified');
+    }
+    const transferId = hexToBytes(manifest.transferId);
+    const digest = hexToBytes(manifest.sha256);
+    this.transfer = this.transferContext(transferId);
+    const signature = signTransferAbort(this.identity, transferId, digest);
+    const sealed = this.seal(this.transfer, FRAME_ABORT, 0, concatBytes(digest, signature));
+    await this.sendFragments(FRAME_ABORT, concatBytes(transferId, sealed));
+  }
+
+  // Sign the file's SHA-256 with this device's identity key. The receiver checks the file it
+  // assembled against it before handing it over, and answers with its verdict.
+  async sendTrailer(manifest) {
+    const signature = signFileDigest(this.identity, this.transfer.id, hexToBytes(manifest.sha256));
+    const sealed = this.seal(this.transfer, FRAME_TRAILER, 0, signature);
+    const verdict = await this.sendFragments(FRAME_TRAILER, sealed);
+    if (verdict[0] !== TRAILER_VERIFIED) {
+      throw codedError(
+        ERROR_INTEGRITY,
+        `Integrity error: the receiver rejected transfer ${manifest.transferId} (${manifest.name})`
+      );
+    }
+  }
+
+  // Keep up to a window of chunks in flight, writing lost ones again as the receiver's
+  // selective ACKs reveal them. Each chunk is bound to this transfer and its index, so the
+  // receiver can place it and detect duplicates, replays and reordering.
+  async sendChunks(source, { chunkSize, chunkCount }, held) {
+    const window = new SendWindow(chunkCount, {
+      size: Math.min(this.windowSize, this.agreement.windowSize),
+      maxSize: this.agreement.windowSize,
+      held,
+    });
+    this.window = window;
+    this.emit('progress', progress(window));
+    this.lastChunkAck = -1;
+    this.transferFailure = null;
+    if (this.unackedChunks?.transfer !== this.transfer) {
+      this.unackedChunks = { transfer: this.transfer, frames: new Map() };
+    }
+    const { frames } = this.unackedChunks;
+    // Chunks are let go once acknowledged, so no more than a window's worth are kept
+    const forgetAcked = () => {
+      for (const index of frames.keys()) {
+        if (window.acked[index]) {
+          frames.delete(index);
+        }
+      }
+    };
+    try {
+      while (!window.isComplete) {
+        if (this.transferFailure) {
+          throw this.transferFailure;
+        }
+        this.checkInterruption();
+        const ack = this.expect('chunkAck');
+        forgetAcked();
+        let index;
+        while ((index = window.nextChunk()) !== null) {
+          let payload = frames.get(index);
+          if (!payload) {
+            const chunk = await source.read(index * chunkSize, chunkSize);
+            payload = this.seal(this.transfer, FRAME_CHUNK, index, chunk);
+            frames.set(index, payload);
+          }
+          await this.sendFrame(FRAME_CHUNK, payload, { seq: index });
+          this.armChunkTimer(index);
+        }
+        await ack;
+      }
+    } finally {
+      this.ackedChunks = window.ackedRanges();
+      forgetAcked();
+      this.window = null;
+      this.chunkTimers.forEach(clearTimeout);
+      this.chunkTimers.clear();
+    }
+  }
+
+  // Start (or restart) the retransmission timer of a chunk just written
+  armChunkTimer(index) {
+    const { window } = this;
+    clearTimeout(this.chunkTimers.get(index));
+    const timer = setTimeout(() => {
+      this.chunkTimers.delete(index);
+      if (window.acked[index]) {
+        return;
+      }
+      if (window.retries[index] >= this.maxRetries) {
+        this.transferFailure = codedError(
+          ERROR_NO_ACK,
+          `Transfer failed: no ACK for chunk ${index} after ${this.maxRetries} retries`
+        );
+      } else {
+        window.timeout(index);
+      }
+      // Wake the send loop to write the chunk again or give up
+      this.settle('chunkAck');
+    }, this.retransmitTimeout(window.retries[index]));
+    this.chunkTimers.set(index, timer);
+  }
+}
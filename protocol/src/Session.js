@@ -0,0 +1,599 @@
+import Emitter from './Emitter';
+import { equalBytes } from '@noble/ciphers/utils';
+import {
+  CHANNEL_HANDSHAKE,
+  CHANNEL_TRANSFER,
+  CIPHER_AES_256_GCM,
+  ERROR_REKEY_REQUIRED,
+  ERROR_SESSION_CLOSED,
+  FAILURE_IDENTITY,
+  FAILURE_INCOMPATIBLE,
+  FAILURE_KEY_COMMITMENT,
+  FAILURE_KEY_CONFIRMATION,
+  FAILURE_PAIRING,
+  FAILURE_SAS_MISMATCH,
+  FLAG_MORE_FRAGMENTS,
+  FLAG_SPLIT,
+  FEATURE_COMPRESSION,
+  FEATURE_RESUME,
+  FRAME_HANDSHAKE_FAILED,
+  FRAME_HELLO,
+  FRAME_IDENTITY,
+  FRAME_KEY_CONFIRM,
+  FRAME_SAS_CONFIRMED,
+  MAX_WINDOW_SIZE,
+  PROTOCOL_VERSION,
+  SESSION_CHUNK_LIMIT,
+} from './constants';
+import {
+  decrypt,
+  deriveSessionKeys,
+  deriveSharedSecret,
+  encrypt,
+  frameNonce,
+  handshakeTranscript,
+  shortAuthenticationString,
+  transcriptMac,
+  transferNonceBase,
+} from './crypto';
+import { chunkBytes, maxFramePayload } from './chunker';
+import { concatBytes } from './encoding';
+import { codedError } from './errors';
+import { decodeFrame, encodeFrame, frameAad, isVersionless } from './frame';
+import { createHello, decodeHello, encodeHello, negotiate } from './hello';
+import {
+  generateIdentity,
+  identityFingerprint,
+  signTranscript,
+  verifyTranscriptSignature,
+} from './identity';
+import { TRUST_CHANGED, TRUST_PAIRED, TRUST_PINNED, TRUST_UNKNOWN } from './TrustStore';
+
+const IDENTITY_KEY_LENGTH = 32;
+
+// Most bytes a handshake frame put back together from fragments may have; the longest, the
+// identity proof, has 96
+const MAX_HANDSHAKE_PAYLOAD = 512;
+
+// A split transfer frame's pieces each lead with the frame's id, their index and the piece
+// count. A frame that loses a piece is lost with it, so only the latest few are held.
+const SPLIT_HEADER_SIZE = 3;
+const MAX_SPLIT_FRAMES = 32;
+
+const HANDSHAKE_FAILURES = {
+  [FAILURE_KEY_CONFIRMATION]: 'key confirmation mismatch',
+  [FAILURE_KEY_COMMITMENT]: 'public key does not match its commitment',
+  [FAILURE_SAS_MISMATCH]: 'short authentication strings do not match',
+  [FAILURE_IDENTITY]: 'identity signature invalid',
+  [FAILURE_PAIRING]: 'pairing code mismatch',
+  [FAILURE_INCOMPATIBLE]: 'no protocol version or cipher in common',
+};
+
+// Shared plumbing for both ends: frame dispatch, key derivation, waiting on the peer and teardown.
+// `identity` is this device's long-term signing key pair; with a `trustStore` and the peer's
+// device `peerId`, verified peers are pinned and skip the SAS comparison next time. `pairing` is
+// the receiver's QR code invitation (see pairing.js), which also replaces the SAS comparison.
+// `chunkLimit` caps the chunks one key exchange may protect. With `compression` off, files are
+// neither sent nor accepted compressed; with `resume` off, a transfer cut off in an earlier
+// session starts over. Both ends first trade hellos and settle on what they have in common.
+export default class Session extends Emitter {
+  constructor(
+    transport,
+    isSender,
+    {
+      identity = generateIdentity(),
+      trustStore = null,
+      peerId = null,
+      pairing = null,
+      chunkLimit = SESSION_CHUNK_LIMIT,
+      compression = true,
+      resume = true,
+    } = {}
+  ) {
+    super();
+    this.transport = transport;
+    this.isSender = isSender;
+    this.identity = identity;
+    this.trustStore = trustStore;
+    this.peerId = peerId;
+    this.pairing = pairing;
+    this.chunkLimit = chunkLimit;
+    // What our hello offers, and what the latest hello exchange settled on (see negotiate)
+    this.features = (compression ? FEATURE_COMPRESSION : 0) | (resume ? FEATURE_RESUME : 0);
+    this.maxWindowSize = MAX_WINDOW_SIZE;
+    this.agreement = null;
+    // The peer's hello for the key exchange under way, as sent
+    this.peerHello = null;
+    // ID and nonce bases of the file transfer in progress (see transferContext)
+    this.transfer = null;
+    this.ephemeralKeyPair = null;
+    this.unsubscribe = null;
+    this.isClosed = false;
+    this.waiters = {};
+    // Frames are handled one at a time, in arrival order
+    this.frameQueue = Promise.resolve();
+    // Fragments of the handshake frame coming in: { type, fragments }
+    this.handshakeFragments = null;
+    // Pieces of split transfer frames, by frame id, and the id for the next we split
+    this.splitFrames = new Map();
+    this.splitFrameId = 0;
+    this.resetHandshake();
+  }
+
+  resetHandshake() {
+    this.keys = null;
+    this.transcript = null;
+    this.sas = null;
+    this.isConfirmed = false;
+    this.peerIdentityKey = null;
+    this.isPaired = false;
+    this.trust = TRUST_UNKNOWN;
+    // Chunks encrypted under the current keys
+    this.chunksUsed = 0;
+    this.sasConfirmedLocally = false;
+    this.sasConfirmedByPeer = false;
+  }
+
+  get role() {
+    return this.isSender ? 'sender' : 'receiver';
+  }
+
+  get peerRole() {
+    return this.isSender ? 'receiver' : 'sender';
+  }
+
+  // Keys are only trusted once the peer has proved it derived the same ones
+  get isSecure() {
+    return this.keys !== null && this.isConfirmed;
+  }
+
+  // Both users compared the short authentication string and said it matches
+  get isVerified() {
+    return this.isSecure && this.sasConfirmedLocally && this.sasConfirmedByPeer;
+  }
+
+  // Both hellos offered compressed files
+  get compressionAgreed() {
+    return ((this.agreement?.features ?? 0) & FEATURE_COMPRESSION) !== 0;
+  }
+
+  // Both hellos offered resuming transfers from an earlier session
+  get resumeAgreed() {
+    return ((this.agreement?.features ?? 0) & FEATURE_RESUME) !== 0;
+  }
+
+  get peerFingerprint() {
+    return this.peerIdentityKey ? identityFingerprint(this.peerIdentityKey) : null;
+  }
+
+  // Key for frames we send and key for frames the peer sends us
+  get sendKey() {
+    return this.isSender ? this.keys.senderToReceiver : this.keys.receiverToSender;
+  }
+
+  get receiveKey() {
+    return this.isSender ? this.keys.receiverToSender : this.keys.senderToReceiver;
+  }
+
+  get sendNonceKey() {
+    return this.isSender ? this.keys.senderToReceiverNonce : this.keys.receiverToSenderNonce;
+  }
+
+  get receiveNonceKey() {
+    return this.isSender ? this.keys.receiverToSenderNonce : this.keys.senderToReceiverNonce;
+  }
+
+  // Start receiving frames from the transport
+  listen() {
+    this.unsubscribe = this.transport.subscribe(
+      (channel, bytes) => {
+        this.frameQueue = this.frameQueue
+          .then(() => {
+            const frame = decodeFrame(bytes);
+            this.checkFrameVersion(frame);
+            if (channel !== CHANNEL_HANDSHAKE) {
+              const whole = this.collectSplitFrame(frame);
+              return whole && this.handleTransferFrame(whole);
+            }
+            const whole = this.collectHandshakeFragment(frame);
+            return whole && this.handleHandshake(whole);
+          })
+          .catch((err) => this.emit('error', err));
+      },
+      (err) => {
+        // A failed notification means the link is gone; nothing we wait for will arrive
+        this.emit('error', err);
+        this.rejectWaiters(err);
+      }
+    );
+  }
+
+  // Put a handshake frame that came in fragments back together. Returns it once whole, or null
+  // while fragments are still to come.
+  collectHandshakeFragment(frame) {
+    const { type, seq, flags, payload } = frame;
+    const pending = this.handshakeFragments;
+    this.handshakeFragments = null;
+    if (seq !== 0 && (pending?.type !== type || seq !== pending.fragments.length)) {
+      throw new Error(`Frame error: handshake fragment ${seq} out of order`);
+    }
+    const fragments = seq === 0 ? [payload] : [...pending.fragments, payload];
+    const length = fragments.reduce((total, fragment) => total + fragment.length, 0);
+    if (length > MAX_HANDSHAKE_PAYLOAD) {
+      throw new Error(`Frame error: handshake frame of over ${MAX_HANDSHAKE_PAYLOAD} bytes`);
+    }
+    if (flags & FLAG_MORE_FRAGMENTS) {
+      this.handshakeFragments = { type, fragments };
+      return null;
+    }
+    return { ...frame, seq: 0, flags: 0, payload: concatBytes(...fragments) };
+  }
+
+  // Put a transfer frame sent in pieces back together. Returns it once every piece is in, or
+  // null while some are still missing; a frame is passed through as it is when not split.
+  collectSplitFrame(frame) {
+    const { type, seq, flags, payload } = frame;
+    if (!(flags & FLAG_SPLIT)) {
+      return frame;
+    }
+    const [id, index, count] = payload;
+    if (payload.length <= SPLIT_HEADER_SIZE || index >= count) {
+      throw new Error('Frame error: malformed piece of a split frame');
+    }
+    let split = this.splitFrames.get(id);
+    if (split?.type !== type || split.seq !== seq || split.pieces.length !== count) {
+      // A new frame, or one reusing the id of a frame that lost a piece
+      split = { type, seq, pieces: new Array(count), missing: count };
+      this.splitFrames.delete(id);
+      this.splitFrames.set(id, split);
+      if (this.splitFrames.size > MAX_SPLIT_FRAMES) {
+        this.splitFrames.delete(this.splitFrames.keys().next().value);
+      }
+    }
+    if (split.pieces[index] === undefined) {
+      split.pieces[index] = payload.slice(SPLIT_HEADER_SIZE);
+      split.missing -= 1;
+    }
+    if (split.missing > 0) {
+      return null;
+    }
+    this.splitFrames.delete(id);
+    return { ...frame, flags: flags & ~FLAG_SPLIT, payload: concatBytes(...split.pieces) };
+  }
+
+  // Once the hellos agreed on a version, every frame but a hello or refusal must be in it
+  checkFrameVersion({ type, version }) {
+    const agreed = this.agreement?.version;
+    if (agreed && version !== agreed && !isVersionless(type)) {
+      throw new Error(`Frame error: version ${version} instead of the agreed ${agreed}`);
+    }
+  }
+
+  // Version to write frames in: the agreed one, or our newest until hellos are traded
+  get frameVersion() {
+    return this.agreement?.version ?? PROTOCOL_VERSION;
+  }
+
+  // Everything is encrypted with the cipher the hellos agreed on. AES-256-GCM is the only one
+  // this version has, so no other agreement may reach the keys.
+  checkCipher() {
+    if (this.agreement?.cipher !== CIPHER_AES_256_GCM) {
+      throw new Error('Encryption error: AES-256-GCM was not agreed');
+    }
+  }
+
+  // Handshake frames both ends understand; subclasses handle the rest and defer to this
+  async handleHandshake({ type, payload }) {
+    switch (type) {
+      case FRAME_HELLO:
+        return this.acceptHello(payload);
+      case FRAME_IDENTITY:
+        return this.handleIdentity(payload);
+      case FRAME_SAS_CONFIRMED:
+        return this.handleSasConfirmed(payload);
+      case FRAME_HANDSHAKE_FAILED:
+        // Having refused the peer's hello ourselves, its refusal of ours adds nothing
+        if (payload[0] === FAILURE_INCOMPATIBLE && this.peerHello && !this.agreement) {
+          return undefined;
+        }
+        return this.failHandshake(payload[0], { reportedByPeer: true });
+      default:
+        throw new Error('Unknown handshake frame type: ' + type);
+    }
+  }
+
+  // Our hello: the protocol versions and ciphers we speak, the features we offer and the most
+  // chunks we take in flight
+  hello() {
+    return encodeHello(createHello(this.features, this.maxWindowSize));
+  }
+
+  // Settle on the newest version, best cipher and features both hellos have in common. Both
+  // ends see both hellos, so they reach the same answer, and a peer with nothing in common is
+  // refused before any keys are exchanged.
+  async acceptHello(payload) {
+    this.peerHello = payload;
+    try {
+      this.agreement = negotiate(decodeHello(this.hello()), decodeHello(payload));
+    } catch (err) {
+      this.agreement = null;
+      await this.failHandshake(FAILURE_INCOMPATIBLE, {
+        detail: `incompatible ${this.peerRole}: ${err.message}`,
+      });
+    }
+  }
+
+  // A peer that goes on with the key exchange without a hello runs a version from before hellos
+  refuseWithoutHello() {
+    return this.failHandshake(FAILURE_INCOMPATIBLE, {
+      detail: `incompatible ${this.peerRole}: it sent no hello; update the older app`,
+    });
+  }
+
+  // Derive the session keys from the peer's ephemeral public key; the salt always lists the
+  // sender's key first so both ends agree on it. The transcript also covers both hellos, as
+  // sent, so a relay that tampered with either fails key confirmation.
+  deriveKeys(peerPublicKey, peerHello) {
+    this.checkCipher();
+    const { publicKey, secretKey } = this.ephemeralKeyPair;
+    const sharedSecret = deriveSharedSecret(peerPublicKey, secretKey);
+    const [senderPublicKey, receiverPublicKey] = this.isSender
+      ? [publicKey, peerPublicKey]
+      : [peerPublicKey, publicKey];
+    const [senderHello, receiverHello] = this.isSender
+      ? [this.hello(), peerHello]
+      : [peerHello, this.hello()];
+    this.resetHandshake();
+    this.keys = deriveSessionKeys(sharedSecret, senderPublicKey, receiverPublicKey);
+    this.transcript = handshakeTranscript(
+      senderPublicKey,
+      receiverPublicKey,
+      senderHello,
+      receiverHello
+    );
+  }
+
+  mac(role, purpose) {
+    return transcriptMac(this.keys.confirm, `${role} ${purpose}`, this.transcript);
+  }
+
+  // Our identity key and its signature over the transcript, tying it to this key exchange
+  identityProof() {
+    const signature = signTranscript(this.identity, this.role, this.transcript);
+    return concatBytes(this.identity.publicKey, signature);
+  }
+
+  async handleIdentity(payload) {
+    if (!this.keys) {
+      throw new Error('Identity received before key exchange');
+    }
+    const publicKey = payload.slice(0, IDENTITY_KEY_LENGTH);
+    const signature = payload.subarray(IDENTITY_KEY_LENGTH);
+    if (!verifyTranscriptSignature(publicKey, this.peerRole, this.transcript, signature)) {
+      await this.failHandshake(FAILURE_IDENTITY);
+      return;
+    }
+    this.peerIdentityKey = publicKey;
+  }
+
+  keyConfirmation() {
+    return this.mac(this.role, 'key confirmation');
+  }
+
+  // Prove our identity and our keys to the peer
+  async sendProofs() {
+    await this.sendHandshake(FRAME_IDENTITY, this.identityProof());
+    await this.sendHandshake(FRAME_KEY_CONFIRM, this.keyConfirmation());
+  }
+
+  // Check the peer's MAC over the transcript; a mismatch means a wrong or tampered key, and a
+  // peer that has not signed the transcript with its identity key is refused too. Returns the
+  // handshake failure, or null once the keys are confirmed and the SAS is ready to compare.
+  async verifyKeyConfirmation(mac) {
+    if (!equalBytes(mac, this.mac(this.peerRole, 'key confirmation'))) {
+      return this.failHandshake(FAILURE_KEY_CONFIRMATION);
+    }
+    if (!this.peerIdentityKey) {
+      return this.failHandshake(FAILURE_IDENTITY);
+    }
+    this.isConfirmed = true;
+    this.sas = shortAuthenticationString(this.transcript);
+    if (this.isPaired) {
+      this.trust = TRUST_PAIRED;
+    } else if (this.trustStore && this.peerId) {
+      this.trust = await this.trustStore.check(this.peerId, this.peerIdentityKey);
+    }
+    return null;
+  }
+
+  // Tell the UI the keys are confirmed. A pinned or QR-paired peer needs no SAS comparison; one
+  // whose identity key changed since it was pinned gets an explicit warning first.
+  async announceSecure() {
+    const peer = { peerId: this.peerId, fingerprint: this.peerFingerprint, trust: this.trust };
+    if (this.trust === TRUST_CHANGED) {
+      this.emit('identityChanged', peer);
+    }
+    this.emit('secure', this.sas, peer);
+    if (this.trust === TRUST_PINNED || this.trust === TRUST_PAIRED) {
+      await this.confirmSas(true);
+    }
+  }
+
+  // The local user compared the short authentication strings; a mismatch aborts the handshake
+  async confirmSas(matches) {
+    if (!this.isSecure) {
+      throw new Error('No confirmed handshake to verify');
+    }
+    if (!matches) {
+      await this.failHandshake(FAILURE_SAS_MISMATCH);
+      return;
+    }
+    this.sasConfirmedLocally = true;
+    await this.sendHandshake(FRAME_SAS_CONFIRMED, this.mac(this.role, 'SAS match'));
+    await this.checkVerified();
+  }
+
+  async handleSasConfirmed(mac) {
+    if (!this.isSecure || !equalBytes(mac, this.mac(this.peerRole, 'SAS match'))) {
+      throw new Error('Invalid SAS confirmation');
+    }
+    this.sasConfirmedByPeer = true;
+    await this.checkVerified();
+  }
+
+  // Both users compared the SAS or paired by QR code, so the peer's identity key is authentic:
+  // pin it (replacing a changed one) so later connections can skip the comparison
+  async checkVerified() {
+    if (!this.isVerified) {
+      return;
+    }
+    if (this.trustStore && this.peerId && this.trust !== TRUST_PINNED) {
+      await this.trustStore.pin(this.peerId, this.peerIdentityKey);
+      this.trust = TRUST_PINNED;
+    }
+    this.emit('verified');
+  }
+
+  // Abort the handshake: forget the keys and tell the UI and, unless it told us, the peer.
+  // `detail` replaces the usual description of `reason` when we know more.
+  async failHandshake(reason, { reportedByPeer = false, detail = null } = {}) {
+    const description = detail || HANDSHAKE_FAILURES[reason] || 'unknown reason';
+    const err = new Error(
+      'Handshake failed: ' + (reportedByPeer ? `${this.peerRole} reported ` : '') + description
+    );
+    this.resetHandshake();
+    this.emit('handshakeFailed', err);
+    this.rejectWaiters(err);
+    if (!reportedByPeer) {
+      await this.sendHandshake(FRAME_HANDSHAKE_FAILED, Uint8Array.of(reason)).catch(() => {});
+    }
+    return err;
+  }
+
+  // A handshake frame too long for one write goes in fragments numbered by `seq`, all but the
+  // last flagged FLAG_MORE_FRAGMENTS, like a manifest. Handshake writes are acknowledged, so
+  // the fragments arrive in order and need no ACKs of their own.
+  async sendHandshake(type, payload) {
+    const version = this.frameVersion;
+    const fragments = payload.length
+      ? chunkBytes(payload, maxFramePayload(this.transport.mtu))
+      : [payload];
+    for (let seq = 0; seq < fragments.length; seq++) {
+      const flags = seq < fragments.length - 1 ? FLAG_MORE_FRAGMENTS : 0;
+      await this.transport.send(
+        CHANNEL_HANDSHAKE,
+        encodeFrame({ type, version, seq, flags, payload: fragments[seq] })
+      );
+    }
+  }
+
+  // A transfer's ID with the nonce base it uses in each direction
+  transferContext(transferId) {
+    return {
+      id: transferId,
+      sendNonceBase: transferNonceBase(this.sendNonceKey, transferId),
+      receiveNonceBase: transferNonceBase(this.receiveNonceKey, transferId),
+    };
+  }
+
+  // Encrypt a transfer frame. The nonce comes from its type, subtype and sequence number, and
+  // the associated data binds it to the transfer and its position.
+  seal(transfer, type, seq, plaintext, subtype = 0) {
+    this.checkCipher();
+    const nonce = frameNonce(transfer.sendNonceBase, type, seq, subtype);
+    return encrypt(this.sendKey, nonce, plaintext, frameAad(transfer.id, type, seq));
+  }
+
+  open(transfer, type, seq, sealed, subtype = 0) {
+    this.checkCipher();
+    const nonce = frameNonce(transfer.receiveNonceBase, type, seq, subtype);
+    return decrypt(this.receiveKey, nonce, sealed, frameAad(transfer.id, type, seq));
+  }
+
+  // Refuse to protect more than chunkLimit chunks with one set of keys
+  reserveChunks(count) {
+    if (this.chunksUsed + count > this.chunkLimit) {
+      throw codedError(
+        ERROR_REKEY_REQUIRED,
+        `Rekey required: session limit of ${this.chunkLimit} chunks reached`
+      );
+    }
+    this.chunksUsed += count;
+  }
+
+  // Transfer frames also carry a sequence number and header flags. One too long for a single
+  // write, as any encrypted frame is at the smallest MTUs, goes in pieces flagged FLAG_SPLIT
+  // under the same header.
+  async sendFrame(type, payload, { seq = 0, flags = 0 } = {}) {
+    const version = this.frameVersion;
+    const room = maxFramePayload(this.transport.mtu);
+    if (payload.length <= room) {
+      return this.transport.send(
+        CHANNEL_TRANSFER,
+        encodeFrame({ type, version, seq, flags, payload })
+      );
+    }
+    const pieces = chunkBytes(payload, room - SPLIT_HEADER_SIZE);
+    if (pieces.length > 0xff) {
+      throw new Error(`Frame error: payload of ${payload.length} bytes is too long to split`);
+    }
+    const id = this.splitFrameId;
+    this.splitFrameId = (id + 1) & 0xff;
+    for (let index = 0; index < pieces.length; index++) {
+      const piece = concatBytes(Uint8Array.of(id, index, pieces.length), pieces[index]);
+      await this.transport.send(
+        CHANNEL_TRANSFER,
+        encodeFrame({ type, version, seq, flags: flags | FLAG_SPLIT, payload: piece })
+      );
+    }
+    return undefined;
+  }
+
+  // Promise for the next time `name` is settled by an incoming frame. It may be rejected while
+  // we are still sending, before anyone awaits it, so it must not count as unhandled.
+  expect(name) {
+    const promise = new Promise((resolve, reject) => {
+      this.waiters[name] = { resolve, reject };
+    });
+    promise.catch(() => {});
+    return promise;
+  }
+
+  // Settle a pending expect(); returns false when nobody was waiting
+  settle(name, value) {
+    const waiter = this.waiters[name];
+    if (!waiter) {
+      return false;
+    }
+    delete this.waiters[name];
+    waiter.resolve(value);
+    return true;
+  }
+
+  // Reject a pending expect(); returns false when nobody was waiting
+  reject(name, err) {
+    const waiter = this.waiters[name];
+    if (!waiter) {
+      return false;
+    }
+    delete this.waiters[name];
+    waiter.reject(err);
+    return true;
+  }
+
+  rejectWaiters(err) {
+    const waiters = Object.values(this.waiters);
+    this.waiters = {};
+    waiters.forEach((waiter) => waiter.reject(err));
+  }
+
+  async close() {
+    this.isClosed = true;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.rejectWaiters(codedError(ERROR_SESSION_CLOSED, 'Session closed'));
+    await this.transport.close();
+  }
+}
@@ -0,0 +1,141 @@
+import nacl from 'tweetnacl';
+import { bytesToHex } from './encoding';
+
+export const TRANSFER_QUEUE_STORAGE_KEY = 'ble-transfer/outgoing-queue';
+
+// States of a queued transfer
+export const QUEUE_QUEUED = 'queued';
+export const QUEUE_SENDING = 'sending';
+export const QUEUE_PAUSED = 'paused';
+export const QUEUE_COMPLETED = 'completed';
+export const QUEUE_FAILED = 'failed';
+// The receiver declined it
+export const QUEUE_REJECTED = 'rejected';
+
+// Outgoing transfers, sent one at a time in queue order and kept in AsyncStorage-compatible
+// storage so they survive an app restart. Each item is
+// { id, files, state, delivered, interrupted, error }: `files` are whatever the app needs to
+// open them again, `delivered` the paths the receiver already has, and `interrupted` the
+// { path, manifest } of a file cut off midway, which a later send resumes.
+//
+// A cancelled item leaves the queue at once. If the receiver kept part of it, its manifest
+// stays in `aborts` until the receiver has been told to delete it.
+export default class TransferQueue {
+  constructor(storage) {
+    this.storage = storage;
+    this.queue = null;
+  }
+
+  async load() {
+    if (!this.queue) {
+      const stored = await this.storage.getItem(TRANSFER_QUEUE_STORAGE_KEY);
+      this.queue = stored ? JSON.parse(stored) : { items: [], aborts: [] };
+      // Whatever was being sent when the app stopped goes again, resuming where it was cut off
+      for (const item of this.queue.items) {
+        if (item.state === QUEUE_SENDING) {
+          item.state = QUEUE_QUEUED;
+        }
+      }
+    }
+    return this.queue;
+  }
+
+  async save() {
+    await this.storage.setItem(TRANSFER_QUEUE_STORAGE_KEY, JSON.stringify(this.queue));
+  }
+
+  async items() {
+    return (await this.load()).items;
+  }
+
+  async find(id) {
+    const item = (await this.items()).find((candidate) => candidate.id === id);
+    if (!item) {
+      throw new Error(`No queued transfer ${id}`);
+    }
+    return item;
+  }
+
+  // Queue files to go after everything already queued
+  async add(files) {
+    const item = {
+      id: bytesToHex(nacl.randomBytes(8)),
+      files,
+      state: QUEUE_QUEUED,
+      delivered: [],
+      interrupted: null,
+      error: null,
+    };
+    (await this.load()).items.push(item);
+    await this.save();
+    return item;
+  }
+
+  // First item waiting to be sent, or null
+  async next() {
+    return (await this.items()).find((item) => item.state === QUEUE_QUEUED) || null;
+  }
+
+  async update(id, changes) {
+    const item = await this.find(id);
+    Object.assign(item, changes);
+    await this.save();
+    return item;
+  }
+
+  // Keep an item out of the way until it is resumed. Pausing the item being sent is up to the
+  // caller, who stops the session's send.
+  async pause(id) {
+    const item = await this.find(id);
+    if (item.state === QUEUE_QUEUED || item.state === QUEUE_SENDING) {
+      item.state = QUEUE_PAUSED;
+      await this.save();
+    }
+    return item;
+  }
+
+  // Queue a paused, failed or rejected item again, in its place in the queue
+  async resume(id) {
+    const item = await this.find(id);
+    if ([QUEUE_PAUSED, QUEUE_FAILED, QUEUE_REJECTED].includes(item.state)) {
+      item.state = QUEUE_QUEUED;
+      item.error = null;
+      await this.save();
+    }
+    return item;
+  }
+
+  // Remove an item. The manifest of a file it left half sent is kept in `aborts`.
+  async cancel(id) {
+    const queue = await this.load();
+    const item = await this.find(id);
+    queue.items = queue.items.filter((candidate) => candidate !== item);
+    if (item.interrupted && item.state !== QUEUE_COMPLETED) {
+      queue.aborts.push(item.interrupted.manifest);
+    }
+    await this.save();
+    return item;
+  }
+
+  // Move an item `offset` places up (negative) or down the queue
+  async move(id, offset) {
+    const { items } = await this.load();
+    const item = await this.find(id);
+    const from = items.indexOf(item);
+    const to = Math.max(0, Math.min(items.length - 1, from + offset));
+    items.splice(from, 1);
+    items.splice(to, 0, item);
+    await this.save();
+  }
+
+  // Manifests of cancelled transfers the receiver still has to be told about
+  async aborts() {
+    return (await this.load()).aborts;
+  }
+
+  async abortSent(transferId) {
+    const queue = await this.load();
+    queue.aborts = queue.aborts.filter((manifest) => manifest.transferId !== transferId);
+    await this.save();
+  }
+}
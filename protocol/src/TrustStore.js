@@ -0,0 +1,57 @@
+import { base64ToBytes, bytesToBase64 } from './encoding';
+
+export const TRUSTED_PEERS_STORAGE_KEY = 'ble-transfer/trusted-peers';
+
+// Result of checking a peer's identity key against the pinned one
+export const TRUST_PINNED = 'pinned';
+export const TRUST_UNKNOWN = 'unknown';
+export const TRUST_CHANGED = 'changed';
+// The peer was authenticated by a scanned pairing QR code instead
+export const TRUST_PAIRED = 'paired';
+
+// Identity keys of peers the user has verified, pinned by device ID and kept in
+// AsyncStorage-compatible storage
+export default class TrustStore {
+  constructor(storage) {
+    this.storage = storage;
+    this.peers = null;
+  }
+
+  async load() {
+    if (!this.peers) {
+      const stored = await this.storage.getItem(TRUSTED_PEERS_STORAGE_KEY);
+      this.peers = stored ? JSON.parse(stored) : {};
+    }
+    return this.peers;
+  }
+
+  async save() {
+    await this.storage.setItem(TRUSTED_PEERS_STORAGE_KEY, JSON.stringify(this.peers));
+  }
+
+  async check(peerId, identityKey) {
+    const peer = (await this.load())[peerId];
+    if (!peer) {
+      return TRUST_UNKNOWN;
+    }
+    return peer.identityKey === bytesToBase64(identityKey) ? TRUST_PINNED : TRUST_CHANGED;
+  }
+
+  // Pinned identity key for a peer, or null
+  async get(peerId) {
+    const peer = (await this.load())[peerId];
+    return peer ? { ...peer, identityKey: base64ToBytes(peer.identityKey) } : null;
+  }
+
+  async pin(peerId, identityKey, name = null) {
+    const peers = await this.load();
+    peers[peerId] = { identityKey: bytesToBase64(identityKey), name, pinnedAt: Date.now() };
+    await this.save();
+  }
+
+  async forget(peerId) {
+    const peers = await this.load();
+    delete peers[peerId];
+    await this.save();
+  }
+}
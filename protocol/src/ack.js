@@ -0,0 +1,81 @@
+import { MAX_WINDOW_SIZE } from './constants';
+
+const CUMULATIVE_SIZE = 4;
+
+// Body of a chunk ACK: the cumulative point, below which every chunk has arrived, followed by
+// a bitmap of the chunks after it that have arrived too. Bit k (least significant first) of
+// byte k >> 3 stands for chunk cumulative + 1 + k; trailing zero bytes are left off.
+// `received` holds the chunks received so far, indexed by sequence number.
+export const encodeChunkAck = (cumulative, received) => {
+  const bitmap = new Uint8Array(MAX_WINDOW_SIZE / 8);
+  let length = 0;
+  for (let k = 0; k < MAX_WINDOW_SIZE; k++) {
+    if (received[cumulative + 1 + k] !== undefined) {
+      bitmap[k >> 3] |= 1 << (k & 7);
+      length = (k >> 3) + 1;
+    }
+  }
+  const bytes = new Uint8Array(CUMULATIVE_SIZE + length);
+  new DataView(bytes.buffer).setUint32(0, cumulative);
+  bytes.set(bitmap.subarray(0, length), CUMULATIVE_SIZE);
+  return bytes;
+};
+
+// Returns { cumulative, received } with the sequence numbers the bitmap marks as received
+export const decodeChunkAck = (bytes) => {
+  if (bytes.length < CUMULATIVE_SIZE || bytes.length > CUMULATIVE_SIZE + MAX_WINDOW_SIZE / 8) {
+    throw new Error('Frame error: malformed chunk ACK');
+  }
+  const cumulative = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0);
+  const received = [];
+  for (let k = 0; k < (bytes.length - CUMULATIVE_SIZE) * 8; k++) {
+    if (bytes[CUMULATIVE_SIZE + (k >> 3)] & (1 << (k & 7))) {
+      received.push(cumulative + 1 + k);
+    }
+  }
+  return { cumulative, received };
+};
+
+const RANGE_SIZE = 8;
+
+// Body of the last manifest ACK: the chunks the receiver already holds from an interrupted
+// transfer, as [start, end) pairs of uint32. Only as many ranges as fit in `maxLength` bytes
+// are listed; the sender writes the others again and the receiver acknowledges them.
+export const encodeChunkRanges = (received, maxLength) => {
+  const ranges = [];
+  for (let start = 0; start < received.length; start++) {
+    if (received[start] === undefined) {
+      continue;
+    }
+    let end = start + 1;
+    while (end < received.length && received[end] !== undefined) {
+      end++;
+    }
+    ranges.push([start, end]);
+    start = end;
+  }
+  const count = Math.max(0, Math.min(ranges.length, Math.floor(maxLength / RANGE_SIZE)));
+  const bytes = new Uint8Array(count * RANGE_SIZE);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < count; i++) {
+    view.setUint32(i * RANGE_SIZE, ranges[i][0]);
+    view.setUint32(i * RANGE_SIZE + 4, ranges[i][1]);
+  }
+  return bytes;
+};
+
+export const decodeChunkRanges = (bytes) => {
+  if (bytes.length % RANGE_SIZE !== 0) {
+    throw new Error('Frame error: malformed chunk ranges');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const ranges = [];
+  for (let offset = 0; offset < bytes.length; offset += RANGE_SIZE) {
+    const range = [view.getUint32(offset), view.getUint32(offset + 4)];
+    if (range[0] >= range[1]) {
+      throw new Error('Frame error: malformed chunk ranges');
+    }
+    ranges.push(range);
+  }
+  return ranges;
+};
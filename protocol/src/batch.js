@@ -0,0 +1,56 @@
+import { TRANSFER_ID_LENGTH } from './constants';
+import { bytesToHex, bytesToUtf8, utf8ToBytes } from './encoding';
+
+// List the files of a batch, so the receiver knows what is coming before the first manifest.
+// Each file's `path` is where it goes relative to the receiver's folder, with `/` separators.
+export const createBatch = (files, batchId) => ({
+  batchId: bytesToHex(batchId),
+  files: files.map(({ path, size, mimeType }) => ({
+    path,
+    size,
+    mimeType: mimeType || 'application/octet-stream',
+  })),
+  size: files.reduce((total, { size }) => total + size, 0),
+});
+
+export const encodeBatch = (batch) => utf8ToBytes(JSON.stringify(batch));
+
+// Parse an opened batch manifest; throws on missing or inconsistent fields
+export const decodeBatch = (bytes) => {
+  let batch;
+  try {
+    batch = JSON.parse(bytesToUtf8(bytes));
+  } catch (err) {
+    throw new Error('Malformed batch');
+  }
+  const isFile = (file) =>
+    file &&
+    typeof file.path === 'string' &&
+    !!file.path &&
+    Number.isInteger(file.size) &&
+    file.size >= 0 &&
+    typeof file.mimeType === 'string';
+  if (
+    !batch ||
+    typeof batch.batchId !== 'string' ||
+    !/^[0-9a-f]+$/.test(batch.batchId) ||
+    batch.batchId.length !== TRANSFER_ID_LENGTH * 2 ||
+    !Array.isArray(batch.files) ||
+    !batch.files.every(isFile) ||
+    batch.size !== batch.files.reduce((total, { size }) => total + size, 0)
+  ) {
+    throw new Error('Malformed batch');
+  }
+  return batch;
+};
+
+// Progress through the whole batch with `percent` of file `index` done, weighting each file by
+// its size. Files before `index` count as done, whether they arrived or failed.
+export const batchProgress = (batch, index, percent) => {
+  const { files, size } = batch;
+  if (size === 0) {
+    return Math.round(((index + percent / 100) / files.length) * 100);
+  }
+  const before = files.slice(0, index).reduce((total, file) => total + file.size, 0);
+  return Math.round(((before + (files[index].size * percent) / 100) / size) * 100);
+};
@@ -0,0 +1,27 @@
+import { ATT_HEADER_SIZE } from './constants';
+import { SEAL_OVERHEAD } from './crypto';
+import { FRAME_HEADER_SIZE } from './frame';
+
+// Largest frame payload, after the frame header, that fits one write at this MTU
+export const maxFramePayload = (mtu) => mtu - ATT_HEADER_SIZE - FRAME_HEADER_SIZE;
+
+// Below this many plaintext bytes a chunk is mostly overhead, so a larger one split over
+// several writes carries more
+const MIN_WHOLE_CHUNK_SIZE = 64;
+const SPLIT_CHUNK_SIZE = 240;
+
+// Largest plaintext chunk whose encrypted frame fits one write at this MTU. At the smallest
+// MTUs, the BLE default of 23 among them, chunks are sent split instead.
+export const maxChunkSize = (mtu) => {
+  const chunkSize = maxFramePayload(mtu) - SEAL_OVERHEAD;
+  return chunkSize < MIN_WHOLE_CHUNK_SIZE ? SPLIT_CHUNK_SIZE : chunkSize;
+};
+
+// Split bytes into chunks of at most chunkSize bytes
+export const chunkBytes = (data, chunkSize) => {
+  const chunks = [];
+  for (let index = 0; index < data.length; index += chunkSize) {
+    chunks.push(data.subarray(index, index + chunkSize));
+  }
+  return chunks;
+};
@@ -0,0 +1,185 @@
+import { deflateSync, inflateSync } from 'fflate';
+import { READ_BLOCK_SIZE } from './constants';
+import { concatBytes } from './encoding';
+
+// Name of the only compression in use, as it appears in manifests
+export const COMPRESSION_DEFLATE = 'deflate';
+
+// Each compressed block starts with its length as a big-endian uint32
+const BLOCK_HEADER_SIZE = 4;
+
+// Formats that are compressed already, which deflate would only slow down
+const COMPRESSED_EXTENSIONS = new Set([
+  '7z',
+  'aac',
+  'apk',
+  'avi',
+  'br',
+  'bz2',
+  'docx',
+  'flac',
+  'gif',
+  'gz',
+  'heic',
+  'jpeg',
+  'jpg',
+  'm4a',
+  'mkv',
+  'mov',
+  'mp3',
+  'mp4',
+  'ogg',
+  'pdf',
+  'png',
+  'pptx',
+  'rar',
+  'webm',
+  'webp',
+  'xlsx',
+  'xz',
+  'zip',
+  'zst',
+]);
+const COMPRESSED_MIME_TYPES = new Set([
+  'application/gzip',
+  'application/pdf',
+  'application/vnd.rar',
+  'application/x-7z-compressed',
+  'application/x-bzip2',
+  'application/x-xz',
+  'application/zip',
+  'application/zstd',
+  'image/gif',
+  'image/heic',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+]);
+
+export const isCompressedType = (name, mimeType) => {
+  const extension = /\.([^./]+)$/.exec(name.trim().toLowerCase());
+  return (
+    (extension !== null && COMPRESSED_EXTENSIONS.has(extension[1])) ||
+    COMPRESSED_MIME_TYPES.has(mimeType) ||
+    /^(audio|video)\//.test(mimeType || '')
+  );
+};
+
+// A source read as deflate-compressed blocks: every READ_BLOCK_SIZE bytes of the file become
+// a length header and that block deflated on its own. Deflate gives the same bytes every
+// time, so blocks are compressed again as the chunks that cover them are read and only the
+// latest one is held in memory. `prepare` has to run first to find where each block starts.
+export class DeflateSource {
+  constructor(source) {
+    this.source = source;
+    this.name = source.name;
+    this.mimeType = source.mimeType;
+    // Offset of each block in the compressed stream, and the stream's length
+    this.offsets = [];
+    this.size = 0;
+    this.block = null;
+    this.blockIndex = -1;
+  }
+
+  // Compress every block once to learn its length. `checkpoint` runs before each, so a long
+  // file can be stopped partway.
+  async prepare(checkpoint = () => {}) {
+    this.offsets = [];
+    this.size = 0;
+    for (let index = 0; index * READ_BLOCK_SIZE < this.source.size; index++) {
+      checkpoint();
+      this.offsets.push(this.size);
+      this.size += (await this.encodeBlock(index)).length;
+    }
+  }
+
+  async encodeBlock(index) {
+    if (this.blockIndex !== index) {
+      const raw = await this.source.read(index * READ_BLOCK_SIZE, READ_BLOCK_SIZE);
+      const deflated = deflateSync(raw);
+      const block = new Uint8Array(BLOCK_HEADER_SIZE + deflated.length);
+      new DataView(block.buffer).setUint32(0, deflated.length);
+      block.set(deflated, BLOCK_HEADER_SIZE);
+      this.block = block;
+      this.blockIndex = index;
+    }
+    return this.block;
+  }
+
+  // Index of the block holding byte `offset` of the compressed stream
+  blockAt(offset) {
+    let low = 0;
+    let high = this.offsets.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.offsets[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  // Compressed bytes from `offset` up to `length` of them, fewer at the end of the stream
+  async read(offset, length) {
+    const end = Math.min(offset + length, this.size);
+    const parts = [];
+    for (let position = offset; position < end; ) {
+      const index = this.blockAt(position);
+      const block = await this.encodeBlock(index);
+      const start = position - this.offsets[index];
+      const part = block.subarray(start, Math.min(block.length, start + end - position));
+      parts.push(part);
+      position += part.length;
+    }
+    return concatBytes(...parts);
+  }
+}
+
+// Undo DeflateSource's encoding of a file of `size` bytes, one block at a time:
+// `read(offset, length)` gives bytes of the `encodedSize` long stream, and `write(bytes)` takes
+// each block once it is inflated. Throws if the stream is malformed or does not inflate to
+// exactly `size` bytes.
+export const inflateBlocks = async (encodedSize, size, read, write) => {
+  let written = 0;
+  for (let offset = 0; offset < encodedSize; ) {
+    const header = await read(offset, BLOCK_HEADER_SIZE);
+    if (header.length < BLOCK_HEADER_SIZE) {
+      throw new Error('Malformed compressed data');
+    }
+    const length = new DataView(header.buffer, header.byteOffset).getUint32(0);
+    offset += BLOCK_HEADER_SIZE;
+    const deflated = await read(offset, length);
+    offset += length;
+    if (deflated.length !== length || offset > encodedSize) {
+      throw new Error('Malformed compressed data');
+    }
+    // Room for one byte more than a block, so a block that inflates too far shows up
+    let block;
+    try {
+      block = inflateSync(deflated, { out: new Uint8Array(READ_BLOCK_SIZE + 1) });
+    } catch (err) {
+      throw new Error('Malformed compressed data');
+    }
+    written += block.length;
+    if (block.length > READ_BLOCK_SIZE || written > size) {
+      throw new Error('Malformed compressed data');
+    }
+    await write(block);
+  }
+  if (written !== size) {
+    throw new Error('Malformed compressed data');
+  }
+};
+
+// Bytes per second over the air and of the file itself, `percent` of the way through sending
+// `manifest` after `elapsed` ms. They differ when the file is compressed.
+export const transferRates = (manifest, percent, elapsed) => {
+  const seconds = Math.max(elapsed, 1) / 1000;
+  const sent = manifest.compressedSize ?? manifest.size;
+  return {
+    raw: Math.round((sent * percent) / 100 / seconds),
+    effective: Math.round((manifest.size * percent) / 100 / seconds),
+  };
+};
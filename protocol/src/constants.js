@@ -0,0 +1,109 @@
+// Service and characteristic UUIDs shared by the sender and receiver apps. Installed apps
+// look for these, so they must not change.
+export const SERVICE_UUID = '12345678-1234-5678-1234-56789abcdef0';
+export const HANDSHAKE_CHAR_UUID = '12345678-1234-5678-1234-56789abcdef1';
+export const TRANSFER_CHAR_UUID = '12345678-1234-5678-1234-56789abcdef2';
+
+// Protocol version, bound into every key derivation as the HKDF info label
+export const PROTOCOL_VERSION = 1;
+export const PROTOCOL_LABEL = `ble-secure-file-transfer/v${PROTOCOL_VERSION}`;
+// Oldest protocol version this app still speaks to a peer that offers nothing newer
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Logical channels a transport carries, one per BLE characteristic
+export const CHANNEL_HANDSHAKE = 'handshake';
+export const CHANNEL_TRANSFER = 'transfer';
+
+// ATT MTU bounds: every link starts at the BLE minimum until the central negotiates more
+export const DEFAULT_MTU = 23;
+export const MAX_MTU = 517;
+export const ATT_HEADER_SIZE = 3; // bytes of every ATT packet that are not payload
+
+// Ciphers a hello can offer, one bit each; of those both ends support, the highest bit wins
+export const CIPHER_AES_256_GCM = 0x01;
+
+// Optional features a hello can offer, one bit each; only those both ends offer are used
+export const FEATURE_COMPRESSION = 0x01; // deflate-compressed files
+export const FEATURE_RESUME = 0x02; // picking up chunks kept from an earlier session
+
+// Frame type markers prefixed to every frame on the handshake channel
+export const FRAME_PUBLIC_KEY = 0x10;
+export const FRAME_KEY_CONFIRM = 0x11;
+export const FRAME_HANDSHAKE_FAILED = 0x12;
+export const FRAME_KEY_COMMITMENT = 0x13;
+export const FRAME_SAS_CONFIRMED = 0x14;
+export const FRAME_IDENTITY = 0x15;
+export const FRAME_PAIRING_PROOF = 0x16;
+export const FRAME_HELLO = 0x17; // versions, ciphers and features, before the key exchange
+
+// Reason codes carried by FRAME_HANDSHAKE_FAILED
+export const FAILURE_KEY_CONFIRMATION = 0x01;
+export const FAILURE_KEY_COMMITMENT = 0x02;
+export const FAILURE_SAS_MISMATCH = 0x03;
+export const FAILURE_IDENTITY = 0x04;
+export const FAILURE_PAIRING = 0x05;
+export const FAILURE_INCOMPATIBLE = 0x06;
+
+export const SAS_DIGITS = 6;
+
+// Frame type markers prefixed to every frame on the transfer channel
+export const FRAME_MANIFEST = 0x01;
+export const FRAME_CHUNK = 0x02;
+export const FRAME_ACK = 0x03;
+export const FRAME_TRAILER = 0x04; // signed digest of the whole file, after the last chunk
+export const FRAME_BATCH = 0x05; // list of the files that follow, each sent as its own transfer
+export const FRAME_ABORT = 0x06; // signed cancellation of a transfer; the receiver drops its partial
+
+// Body of the ACK answering the trailer's last fragment
+export const TRAILER_VERIFIED = 0x00;
+export const TRAILER_REJECTED = 0x01;
+
+// First byte of the ACK answering a manifest's or batch manifest's last fragment: whether the
+// receiver takes the file or batch. A manifest ACK goes on with the chunk ranges already held.
+export const OFFER_ACCEPTED = 0x00;
+export const OFFER_DECLINED = 0x01;
+
+// Acknowledged type of the empty ACK a receiver sends as soon as an offer is in, when its user
+// is to decide on it. The answer then comes in the usual ACK.
+export const ACK_OFFER_PENDING = 0x80;
+
+// Random ID naming each file transfer or batch, bound into every chunk and ACK
+export const TRANSFER_ID_LENGTH = 8;
+
+// Most chunks one set of session keys may encrypt before a fresh key exchange, in line with
+// the AES-GCM usage limits TLS 1.3 sets (RFC 8446, section 5.5)
+export const SESSION_CHUNK_LIMIT = 2 ** 24;
+
+// Frame header flags
+export const FLAG_MORE_FRAGMENTS = 0x01; // another fragment of the same message follows
+export const FLAG_SPLIT = 0x02; // one piece of a frame too long for a single write
+
+// Chunks the sender keeps in flight before waiting for ACKs. The window adapts to loss but
+// never exceeds MAX_WINDOW_SIZE, the span of the selective-ACK bitmap.
+export const DEFAULT_WINDOW_SIZE = 8;
+export const MAX_WINDOW_SIZE = 64;
+
+// A frame is written again when its ACK has not arrived within ACK_TIMEOUT_MS, doubling the
+// wait on every retry; after MAX_RETRIES retries the transfer fails
+export const ACK_TIMEOUT_MS = 500;
+export const MAX_RETRIES = 5;
+
+// Once the receiver says its user is deciding on an offer, the sender keeps writing the offer's
+// last fragment for at least this long
+export const DECISION_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Files are read from disk and hashed this many bytes at a time, so memory use stays bounded
+// whatever the file size
+export const READ_BLOCK_SIZE = 64 * 1024;
+
+// Codes set on errors (as `err.code`) that stop a send, so callers need not read messages.
+// All but ERROR_REJECTED and ERROR_INTEGRITY end a whole batch rather than the one file they
+// happened in. The receiver raises ERROR_INTEGRITY too, for the file it discarded.
+export const ERROR_LINK_LOST = 'link-lost'; // a write or notification failed
+export const ERROR_SESSION_CLOSED = 'session-closed';
+export const ERROR_NO_ACK = 'no-ack'; // the receiver stopped answering, retries ran out
+export const ERROR_REKEY_REQUIRED = 'rekey-required';
+export const ERROR_PAUSED = 'paused';
+export const ERROR_CANCELLED = 'cancelled';
+export const ERROR_REJECTED = 'rejected'; // the receiver declined the file or batch
+export const ERROR_INTEGRITY = 'integrity'; // the file did not match the signed digest
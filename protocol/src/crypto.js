@@ -0,0 +1,114 @@
+import nacl from 'tweetnacl';
+import { gcm } from '@noble/ciphers/aes';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { PROTOCOL_LABEL, SAS_DIGITS } from './constants';
+import { concatBytes, utf8ToBytes } from './encoding';
+import { hkdf } from './hkdf';
+
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32; // AES-256
+
+// Generate ephemeral Curve25519 key pair
+export const generateEphemeralKeyPair = () => nacl.box.keyPair();
+
+// Raw X25519 shared secret from the peer public key and our secret key
+export const deriveSharedSecret = (peerPublicKey, secretKey) => {
+  if (!peerPublicKey || peerPublicKey.length !== nacl.box.publicKeyLength) {
+    throw new Error('Invalid peer public key');
+  }
+  const sharedSecret = nacl.scalarMult(secretKey, peerPublicKey);
+  // A low-order peer key forces an all-zero secret that an attacker can predict
+  if (sharedSecret.every((byte) => byte === 0)) {
+    throw new Error('Invalid peer public key');
+  }
+  return sharedSecret;
+};
+
+const expandKey = (prkInput, salt, label) =>
+  hkdf(prkInput, salt, utf8ToBytes(`${PROTOCOL_LABEL} ${label}`), KEY_LENGTH);
+
+// HKDF-SHA256 over the shared secret, salted with both ephemeral public keys (sender first).
+// Each direction gets its own AES-GCM key and nonce key, plus a separate key for handshake
+// confirmation.
+export const deriveSessionKeys = (sharedSecret, senderPublicKey, receiverPublicKey) => {
+  const salt = concatBytes(senderPublicKey, receiverPublicKey);
+  return {
+    senderToReceiver: expandKey(sharedSecret, salt, 'sender to receiver'),
+    receiverToSender: expandKey(sharedSecret, salt, 'receiver to sender'),
+    senderToReceiverNonce: expandKey(sharedSecret, salt, 'sender to receiver nonce'),
+    receiverToSenderNonce: expandKey(sharedSecret, salt, 'receiver to sender nonce'),
+    confirm: expandKey(sharedSecret, salt, 'key confirmation'),
+  };
+};
+
+// Hash of everything both ends agreed on during the handshake, including both hellos so a
+// relay cannot make either end settle for less than they have in common
+export const handshakeTranscript = (
+  senderPublicKey,
+  receiverPublicKey,
+  senderHello = new Uint8Array(0),
+  receiverHello = new Uint8Array(0)
+) =>
+  sha256(
+    concatBytes(
+      utf8ToBytes(PROTOCOL_LABEL),
+      senderPublicKey,
+      receiverPublicKey,
+      senderHello,
+      receiverHello
+    )
+  );
+
+// Hash the sender publishes before its public key, so a relay has to pick its own keys
+// without knowing the sender's and cannot search for keys that give matching SAS codes
+export const publicKeyCommitment = (publicKey) =>
+  sha256(concatBytes(utf8ToBytes(`${PROTOCOL_LABEL} commitment`), publicKey));
+
+// MAC over the transcript under the confirmation key. Labels name the role and purpose so one
+// side's MAC can never be reflected back or replayed for another step.
+export const transcriptMac = (confirmKey, label, transcript) =>
+  hmac(sha256, confirmKey, concatBytes(utf8ToBytes(label), transcript));
+
+// Short authentication string for the users to compare: SAS_DIGITS decimal digits
+export const shortAuthenticationString = (transcript) => {
+  const bytes = hkdf(transcript, null, utf8ToBytes(`${PROTOCOL_LABEL} sas`), 4);
+  const value = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0) % 10 ** SAS_DIGITS;
+  return String(value).padStart(SAS_DIGITS, '0');
+};
+
+// Per-transfer nonce base: each transfer gets its own pseudorandom base under the direction's
+// nonce key, so sequence numbers can restart at zero for every transfer
+export const transferNonceBase = (nonceKey, transferId) =>
+  hkdf(nonceKey, transferId, utf8ToBytes(`${PROTOCOL_LABEL} transfer nonce`), NONCE_LENGTH);
+
+// Deterministic nonce: the transfer's base XOR a counter block of frame type, subtype and
+// sequence number. Nothing is sent on the wire, and as long as no (type, subtype, seq) is
+// sealed twice with different contents within a transfer, no nonce is ever reused.
+export const frameNonce = (base, type, seq, subtype = 0) => {
+  const counter = new Uint8Array(NONCE_LENGTH);
+  counter[0] = type;
+  counter[1] = subtype;
+  new DataView(counter.buffer).setUint32(NONCE_LENGTH - 4, seq);
+  return base.map((byte, index) => byte ^ counter[index]);
+};
+
+// Bytes encrypt() adds to every plaintext
+export const SEAL_OVERHEAD = TAG_LENGTH;
+
+// Encrypt with AES-256-GCM; output is ciphertext + tag. `aad` is authenticated but not
+// encrypted or sent: the receiver must supply the same bytes to decrypt.
+export const encrypt = (key, nonce, plaintext, aad) => gcm(key, nonce, aad).encrypt(plaintext);
+
+// Decrypt the output of encrypt(); throws if the tag does not verify
+export const decrypt = (key, nonce, sealed, aad) => {
+  if (sealed.length < TAG_LENGTH) {
+    throw new Error('Decryption error: frame too short');
+  }
+  try {
+    return gcm(key, nonce, aad).decrypt(sealed);
+  } catch (err) {
+    throw new Error('Decryption error: ' + err.message);
+  }
+};
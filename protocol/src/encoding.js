@@ -0,0 +1,14 @@
+import { Buffer } from 'buffer';
+
+// BLE characteristic values travel as base64 strings; the protocol works on bytes
+export const bytesToBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+export const base64ToBytes = (base64Str) => new Uint8Array(Buffer.from(base64Str, 'base64'));
+
+export {
+  bytesToHex,
+  hexToBytes,
+  utf8ToBytes,
+  bytesToUtf8,
+  concatBytes,
+} from '@noble/ciphers/utils';
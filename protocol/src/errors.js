@@ -0,0 +1,2 @@
+// An Error with a `code` (one of the ERROR_ constants) callers can act on
+export const codedError = (code, message) => Object.assign(new Error(message), { code });
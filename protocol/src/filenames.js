@@ -0,0 +1,90 @@
+// Name given to a file whose own name has nothing usable left after sanitising
+const FALLBACK_NAME = 'received_file';
+
+// Longest name kept, in characters, leaving room for a collision suffix within the 255-byte
+// limit of common file systems
+const MAX_NAME_LENGTH = 200;
+
+// Path separators, characters Android, iOS or Windows refuse in names, and control characters
+// eslint-disable-next-line no-control-regex
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+
+// Device names Windows reserves, in case the file is copied there later
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])$/i;
+
+// Extension to add when the sender's name has none, so the file opens in the right app
+const EXTENSIONS = {
+  'application/json': 'json',
+  'application/msword': 'doc',
+  'application/pdf': 'pdf',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/zip': 'zip',
+  'audio/mpeg': 'mp3',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+};
+
+// Split a name into its stem and extension, dot included; a leading dot is not an extension
+const splitName = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0
+    ? { stem: name.slice(0, dot), extension: name.slice(dot) }
+    : { stem: name, extension: '' };
+};
+
+// A name from a manifest made safe to save under: no directories, no characters the file
+// system refuses, no hidden or reserved names, and an extension matching `mimeType` when the
+// name has none
+export const sanitizeFileName = (name, mimeType) => {
+  const base = String(name)
+    .split(/[\\/]/)
+    .pop()
+    .replace(ILLEGAL_CHARACTERS, '_')
+    .trim()
+    .replace(/^\.+/, '')
+    .replace(/[. ]+$/, '');
+  let { stem, extension } = splitName(base);
+  if (!extension && EXTENSIONS[mimeType]) {
+    extension = `.${EXTENSIONS[mimeType]}`;
+  }
+  extension = extension.slice(0, MAX_NAME_LENGTH / 4);
+  stem = stem.slice(0, MAX_NAME_LENGTH - extension.length).trim();
+  if (!stem) {
+    stem = FALLBACK_NAME;
+  } else if (RESERVED_NAMES.test(stem)) {
+    stem = `_${stem}`;
+  }
+  return stem + extension;
+};
+
+// A relative path from a batch made safe the same way: its file name as above, and each folder
+// sanitised like a name, with empty, `.` and `..` folders dropped so it stays inside the
+// receiver's folder
+export const sanitizeRelativePath = (path, mimeType) => {
+  const segments = String(path).split(/[\\/]/);
+  const name = sanitizeFileName(segments.pop(), mimeType);
+  const directories = segments
+    .filter((segment) => segment.trim() && segment !== '.' && segment !== '..')
+    .map((segment) => sanitizeFileName(segment));
+  return { directories, name };
+};
+
+// `name`, or `name (1)`, `name (2)` and so on before the extension, whichever is not yet taken
+// in `directory`. `exists` resolves whether a path is taken, like react-native-fs's exists.
+export const availableFileName = async (directory, name, exists) => {
+  const { stem, extension } = splitName(name);
+  let candidate = name;
+  for (let copy = 1; await exists(`${directory}/${candidate}`); copy++) {
+    candidate = `${stem} (${copy})${extension}`;
+  }
+  return candidate;
+};
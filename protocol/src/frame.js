@@ -0,0 +1,82 @@
+import {
+  FRAME_HANDSHAKE_FAILED,
+  FRAME_HELLO,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION,
+} from './constants';
+
+/**
+ * Binary frame codec shared by both channels. Every frame is a fixed header followed by the
+ * raw payload (for encrypted frames, the sealed ciphertext and tag as they are):
+ *
+ *   type (1) | version (1) | seq (4) | flags (1) | length (2) | payload (length)
+ *
+ * Multi-byte fields are big-endian. `version` is the protocol version the hellos agreed on,
+ * `seq` numbers frames within a transfer and `flags` carries per-frame bits such as
+ * FLAG_MORE_FRAGMENTS and FLAG_SPLIT.
+ */
+export const FRAME_HEADER_SIZE = 9;
+
+const MAX_PAYLOAD_LENGTH = 0xffff;
+
+// Frames every version lays out alike, so they are read whatever version their header gives:
+// the hello, sent before any version is agreed, and the refusal that may answer it
+export const isVersionless = (type) => type === FRAME_HELLO || type === FRAME_HANDSHAKE_FAILED;
+
+// Associated data that binds an encrypted frame to its transfer, type and position, so it
+// cannot be replayed into another transfer or another slot
+export const frameAad = (transferId, type, seq) => {
+  const aad = new Uint8Array(transferId.length + 5);
+  aad.set(transferId);
+  const view = new DataView(aad.buffer);
+  view.setUint8(transferId.length, type);
+  view.setUint32(transferId.length + 1, seq);
+  return aad;
+};
+
+export const encodeFrame = ({
+  type,
+  version = PROTOCOL_VERSION,
+  seq = 0,
+  flags = 0,
+  payload = new Uint8Array(0),
+}) => {
+  if (payload.length > MAX_PAYLOAD_LENGTH) {
+    throw new Error('Frame error: payload of ' + payload.length + ' bytes is too long');
+  }
+  const bytes = new Uint8Array(FRAME_HEADER_SIZE + payload.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, type);
+  view.setUint8(1, version);
+  view.setUint32(2, seq);
+  view.setUint8(6, flags);
+  view.setUint16(7, payload.length);
+  bytes.set(payload, FRAME_HEADER_SIZE);
+  return bytes;
+};
+
+// Parse a received frame; throws on a truncated frame, a protocol version this app does not
+// speak or a length that does not match what arrived
+export const decodeFrame = (bytes) => {
+  if (bytes.length < FRAME_HEADER_SIZE) {
+    throw new Error('Frame error: truncated header');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = view.getUint8(0);
+  const version = view.getUint8(1);
+  const known = version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+  if (!known && !isVersionless(type)) {
+    throw new Error('Frame error: unsupported version ' + version);
+  }
+  const length = view.getUint16(7);
+  if (bytes.length !== FRAME_HEADER_SIZE + length) {
+    throw new Error('Frame error: length mismatch');
+  }
+  return {
+    type,
+    version,
+    seq: view.getUint32(2),
+    flags: view.getUint8(6),
+    payload: bytes.subarray(FRAME_HEADER_SIZE),
+  };
+};
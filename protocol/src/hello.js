@@ -0,0 +1,53 @@
+import { CIPHER_AES_256_GCM, MIN_PROTOCOL_VERSION, PROTOCOL_VERSION } from './constants';
+
+// Bytes of the hello this version sends: its own length, the oldest and newest protocol
+// versions it speaks, its cipher and feature bits, and the most chunks it takes in flight.
+// Later versions may add fields after these; the length byte says where the hello ends.
+export const HELLO_LENGTH = 6;
+
+export const createHello = (features, maxWindowSize) => ({
+  minVersion: MIN_PROTOCOL_VERSION,
+  maxVersion: PROTOCOL_VERSION,
+  ciphers: CIPHER_AES_256_GCM,
+  features,
+  maxWindowSize,
+});
+
+export const encodeHello = ({ minVersion, maxVersion, ciphers, features, maxWindowSize }) =>
+  Uint8Array.of(HELLO_LENGTH, minVersion, maxVersion, ciphers, features, maxWindowSize);
+
+export const decodeHello = (bytes) => {
+  if (bytes.length < HELLO_LENGTH || bytes[0] !== bytes.length) {
+    throw new Error('malformed hello');
+  }
+  const [, minVersion, maxVersion, ciphers, features, maxWindowSize] = bytes;
+  return { minVersion, maxVersion, ciphers, features, maxWindowSize };
+};
+
+// Highest bit set, or 0 for none
+const highestBit = (bits) => (bits === 0 ? 0 : 1 << (31 - Math.clz32(bits)));
+
+const versions = ({ minVersion, maxVersion }) =>
+  minVersion === maxVersion ? `${minVersion}` : `${minVersion} to ${maxVersion}`;
+
+// What two hellos have in common: the newest protocol version both speak, the cipher both
+// support that is preferred (the highest bit), the smaller window and the features both offer.
+// Throws when there is no version or cipher in common.
+export const negotiate = (ours, theirs) => {
+  const version = Math.min(ours.maxVersion, theirs.maxVersion);
+  if (version < Math.max(ours.minVersion, theirs.minVersion)) {
+    throw new Error(
+      `no protocol version in common (this app speaks ${versions(ours)}, ` +
+        `the other ${versions(theirs)}); update the older app`
+    );
+  }
+  const cipher = highestBit(ours.ciphers & theirs.ciphers);
+  if (!cipher) {
+    throw new Error('no cipher in common');
+  }
+  const windowSize = Math.min(ours.maxWindowSize, theirs.maxWindowSize);
+  if (windowSize < 1) {
+    throw new Error('the other app takes no chunks in flight');
+  }
+  return { version, cipher, windowSize, features: ours.features & theirs.features };
+};
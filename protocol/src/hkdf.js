@@ -0,0 +1,26 @@
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { concatBytes } from './encoding';
+
+const HASH_LENGTH = 32; // SHA-256 output size
+
+// RFC 5869 section 2.2: PRK = HMAC-Hash(salt, IKM); an empty salt means HashLen zero bytes
+export const hkdfExtract = (salt, ikm) =>
+  hmac(sha256, salt && salt.length ? salt : new Uint8Array(HASH_LENGTH), ikm);
+
+// RFC 5869 section 2.3: T(i) = HMAC-Hash(PRK, T(i-1) | info | i), output is the first L bytes
+export const hkdfExpand = (prk, info, length) => {
+  if (length > 255 * HASH_LENGTH) {
+    throw new Error('HKDF output length too large');
+  }
+  const okm = new Uint8Array(length);
+  let block = new Uint8Array(0);
+  for (let i = 1, offset = 0; offset < length; i++, offset += HASH_LENGTH) {
+    block = hmac(sha256, prk, concatBytes(block, info, Uint8Array.of(i)));
+    okm.set(block.subarray(0, Math.min(HASH_LENGTH, length - offset)), offset);
+  }
+  return okm;
+};
+
+// HKDF-SHA256 extract-then-expand
+export const hkdf = (ikm, salt, info, length) => hkdfExpand(hkdfExtract(salt, ikm), info, length);
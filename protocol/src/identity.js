@@ -0,0 +1,88 @@
+import nacl from 'tweetnacl';
+import { sha256 } from '@noble/hashes/sha256';
+import { base64ToBytes, bytesToBase64, bytesToHex, concatBytes, utf8ToBytes } from './encoding';
+
+export const IDENTITY_STORAGE_KEY = 'ble-transfer/identity';
+
+// Long-term Ed25519 identity key pair
+export const generateIdentity = () => nacl.sign.keyPair();
+
+// Storage for secrets backed by react-native-keychain, which keeps each item in the iOS
+// Keychain or the Android Keystore, out of backups and readable on this device only. The module
+// is passed in so this package does not depend on it.
+export const keychainStorage = (keychain) => ({
+  getItem: async (key) => {
+    const credentials = await keychain.getGenericPassword({ service: key });
+    return credentials ? credentials.password : null;
+  },
+  setItem: (key, value) =>
+    keychain.setGenericPassword(key, value, {
+      service: key,
+      accessible: keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+    }),
+});
+
+// Load this device's identity from `secrets`, secure storage with getItem and setItem such as
+// keychainStorage, creating it on first use. An identity kept in plain `legacyStorage` by an
+// earlier version is moved over and deleted there, so peers that pinned it still know us.
+export const loadOrCreateIdentity = async (secrets, legacyStorage = null) => {
+  let stored = await secrets.getItem(IDENTITY_STORAGE_KEY);
+  if (!stored && legacyStorage) {
+    stored = await legacyStorage.getItem(IDENTITY_STORAGE_KEY);
+    if (stored) {
+      await secrets.setItem(IDENTITY_STORAGE_KEY, stored);
+      await legacyStorage.removeItem(IDENTITY_STORAGE_KEY);
+    }
+  }
+  if (stored) {
+    const { publicKey, secretKey } = JSON.parse(stored);
+    return { publicKey: base64ToBytes(publicKey), secretKey: base64ToBytes(secretKey) };
+  }
+  const identity = generateIdentity();
+  await secrets.setItem(
+    IDENTITY_STORAGE_KEY,
+    JSON.stringify({
+      publicKey: bytesToBase64(identity.publicKey),
+      secretKey: bytesToBase64(identity.secretKey),
+    })
+  );
+  return identity;
+};
+
+// Short, human-comparable form of an identity public key: 16 bytes of its SHA-256 in hex groups
+export const identityFingerprint = (publicKey) =>
+  bytesToHex(sha256(publicKey).subarray(0, 16)).match(/.{4}/g).join(' ');
+
+const signedTranscript = (role, transcript) =>
+  concatBytes(utf8ToBytes(`${role} identity`), transcript);
+
+// Sign the handshake transcript, binding our identity to this session's ephemeral keys
+export const signTranscript = (identity, role, transcript) =>
+  nacl.sign.detached(signedTranscript(role, transcript), identity.secretKey);
+
+export const verifyTranscriptSignature = (publicKey, role, transcript, signature) =>
+  publicKey.length === nacl.sign.publicKeyLength &&
+  signature.length === nacl.sign.signatureLength &&
+  nacl.sign.detached.verify(signedTranscript(role, transcript), signature, publicKey);
+
+const signedDigest = (label, transferId, digest) =>
+  concatBytes(utf8ToBytes(label), transferId, digest);
+
+const verifyDigest = (label, publicKey, transferId, digest, signature) =>
+  signature.length === nacl.sign.signatureLength &&
+  nacl.sign.detached.verify(signedDigest(label, transferId, digest), signature, publicKey);
+
+// Sign the SHA-256 of a sent file, tied to its transfer so it cannot vouch for another one
+export const signFileDigest = (identity, transferId, digest) =>
+  nacl.sign.detached(signedDigest('file digest', transferId, digest), identity.secretKey);
+
+export const verifyFileDigest = (publicKey, transferId, digest, signature) =>
+  verifyDigest('file digest', publicKey, transferId, digest, signature);
+
+// Sign the cancellation of a transfer, naming the file by its SHA-256. The label keeps an
+// abort from passing for a file digest or the other way round.
+export const signTransferAbort = (identity, transferId, digest) =>
+  nacl.sign.detached(signedDigest('transfer abort', transferId, digest), identity.secretKey);
+
+export const verifyTransferAbort = (publicKey, transferId, digest, signature) =>
+  verifyDigest('transfer abort', publicKey, transferId, digest, signature);
@@ -0,0 +1,41 @@
+export * from './constants';
+export { bytesToBase64, base64ToBytes } from './encoding';
+export { CharacteristicTransport } from './transport';
+export { LoopbackLink, createLoopbackTransports } from './loopback';
+export { default as SenderSession } from './SenderSession';
+export { default as ReceiverSession } from './ReceiverSession';
+export { keychainStorage, loadOrCreateIdentity, identityFingerprint } from './identity';
+export {
+  default as TrustStore,
+  TRUST_PINNED,
+  TRUST_UNKNOWN,
+  TRUST_CHANGED,
+  TRUST_PAIRED,
+} from './TrustStore';
+export { default as PartialStore } from './PartialStore';
+export {
+  default as TransferQueue,
+  QUEUE_QUEUED,
+  QUEUE_SENDING,
+  QUEUE_PAUSED,
+  QUEUE_COMPLETED,
+  QUEUE_FAILED,
+  QUEUE_REJECTED,
+} from './TransferQueue';
+export {
+  DEFAULT_RECEIVE_POLICY,
+  POLICY_ACCEPT,
+  POLICY_REJECT,
+  POLICY_ASK,
+  checkBatch,
+  checkFile,
+  isExecutableFile,
+  loadReceivePolicy,
+  maxFileBytes,
+  saveReceivePolicy,
+} from './policy';
+export { COMPRESSION_DEFLATE, isCompressedType, transferRates } from './compression';
+export { default as FileSystemSource } from './FileSystemSource';
+export { availableFileName, sanitizeFileName, sanitizeRelativePath } from './filenames';
+export { createPairingInvitation, encodePairingCode, parsePairingCode } from './pairing';
+export { encodeFrame, decodeFrame, FRAME_HEADER_SIZE } from './frame';
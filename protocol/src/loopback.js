@@ -0,0 +1,184 @@
+import { ATT_HEADER_SIZE, HANDSHAKE_CHAR_UUID, MAX_MTU, TRANSFER_CHAR_UUID } from './constants';
+import { base64ToBytes } from './encoding';
+import { CharacteristicTransport } from './transport';
+
+// In-memory characteristic with the react-native-ble-plx read/write/monitor API.
+// Writes land on the same characteristic of the other end of the link.
+class LoopbackCharacteristic {
+  constructor(link, side, uuid) {
+    this.link = link;
+    this.side = side;
+    this.uuid = uuid;
+    this.value = null;
+    this.listeners = [];
+  }
+
+  get peer() {
+    return this.link[this.side === 'central' ? 'peripheral' : 'central'][this.uuid];
+  }
+
+  // Resolves once the peer has been notified, like an acknowledged ATT write
+  writeWithResponse(valueBase64) {
+    return new Promise((resolve, reject) => {
+      this.link.transmit(this, valueBase64, resolve, reject, () => {}, reject);
+    });
+  }
+
+  // Resolves as soon as the packet is queued; delivery happens later
+  writeWithoutResponse(valueBase64) {
+    return new Promise((resolve, reject) => {
+      this.link.transmit(
+        this,
+        valueBase64,
+        () => {},
+        () => {},
+        resolve,
+        reject
+      );
+    });
+  }
+
+  // Last value the peer wrote to this characteristic
+  async read() {
+    if (!this.link.isConnected) {
+      throw new Error('Device is not connected');
+    }
+    return { uuid: this.uuid, value: this.value };
+  }
+
+  monitor(listener) {
+    this.listeners.push(listener);
+    return {
+      remove: () => {
+        this.listeners = this.listeners.filter((l) => l !== listener);
+      },
+    };
+  }
+
+  notify(valueBase64) {
+    this.value = valueBase64;
+    this.listeners.forEach((listener) => listener(null, { uuid: this.uuid, value: valueBase64 }));
+  }
+
+  fail(error) {
+    this.listeners.forEach((listener) => listener(error, null));
+  }
+}
+
+/**
+ * Wires two sets of fake characteristics (`central` and `peripheral`) together in memory so a
+ * SenderSession and a ReceiverSession can run end to end without a radio.
+ *
+ * Options:
+ * - mtu: ATT MTU; writes longer than mtu - 3 bytes are rejected (default 517, the BLE maximum)
+ * - latency: milliseconds before a packet reaches the peer (default 0)
+ * - drop(packet): return true to lose the packet silently
+ * - reorder(packet): return true to hold the packet back until after the next one
+ *   travelling in the same direction
+ *
+ * `packet` is { from, uuid, bytes, index } where index counts every packet written on the link.
+ */
+export class LoopbackLink {
+  constructor(
+    uuids,
+    { mtu = MAX_MTU, latency = 0, drop = () => false, reorder = () => false } = {}
+  ) {
+    this.mtu = mtu;
+    this.latency = latency;
+    this.drop = drop;
+    this.reorder = reorder;
+    this.isConnected = true;
+    this.stats = { sent: 0, delivered: 0, dropped: 0 };
+    this.held = { central: null, peripheral: null };
+    this.central = {};
+    this.peripheral = {};
+    for (const uuid of uuids) {
+      this.central[uuid] = new LoopbackCharacteristic(this, 'central', uuid);
+      this.peripheral[uuid] = new LoopbackCharacteristic(this, 'peripheral', uuid);
+    }
+  }
+
+  // resolve/reject settle on delivery; accept/refuse as soon as the write is queued or refused
+  transmit(characteristic, valueBase64, resolve, reject, accept, refuse) {
+    if (!this.isConnected) {
+      refuse(new Error('Device is not connected'));
+      return;
+    }
+    const bytes = base64ToBytes(valueBase64);
+    if (bytes.length > this.mtu - ATT_HEADER_SIZE) {
+      refuse(new Error(`Write of ${bytes.length} bytes exceeds MTU ${this.mtu}`));
+      return;
+    }
+    accept();
+
+    const packet = {
+      from: characteristic.side,
+      uuid: characteristic.uuid,
+      bytes,
+      index: this.stats.sent,
+    };
+    this.stats.sent += 1;
+    if (this.drop(packet)) {
+      this.stats.dropped += 1;
+      resolve();
+      return;
+    }
+
+    const delivery = { characteristic, valueBase64, resolve, reject };
+    if (!this.held[packet.from] && this.reorder(packet)) {
+      this.held[packet.from] = delivery;
+      return;
+    }
+    const held = this.held[packet.from];
+    this.held[packet.from] = null;
+    setTimeout(() => {
+      this.deliver(delivery);
+      if (held) {
+        this.deliver(held);
+      }
+    }, this.latency);
+  }
+
+  deliver({ characteristic, valueBase64, resolve, reject }) {
+    if (!this.isConnected) {
+      reject(new Error('Device is not connected'));
+      return;
+    }
+    this.stats.delivered += 1;
+    characteristic.peer.notify(valueBase64);
+    resolve();
+  }
+
+  // Drop the link: monitors on both ends get an error and every later write fails
+  disconnect() {
+    if (!this.isConnected) {
+      return;
+    }
+    this.isConnected = false;
+    const error = new Error('Device disconnected');
+    for (const side of ['central', 'peripheral']) {
+      const held = this.held[side];
+      this.held[side] = null;
+      held?.reject(error);
+      Object.values(this[side]).forEach((characteristic) => characteristic.fail(error));
+    }
+  }
+}
+
+// Loopback link plus a CharacteristicTransport for each end, ready for the two sessions
+export const createLoopbackTransports = (options) => {
+  const link = new LoopbackLink([HANDSHAKE_CHAR_UUID, TRANSFER_CHAR_UUID], options);
+  return {
+    link,
+    senderTransport: new CharacteristicTransport(
+      link.central[HANDSHAKE_CHAR_UUID],
+      link.central[TRANSFER_CHAR_UUID],
+      { mtu: link.mtu }
+    ),
+    receiverTransport: new CharacteristicTransport(
+      link.peripheral[HANDSHAKE_CHAR_UUID],
+      link.peripheral[TRANSFER_CHAR_UUID],
+      { mtu: link.mtu }
+    ),
+  };
+};
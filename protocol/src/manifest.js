@@ -0,0 +1,99 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { TRANSFER_ID_LENGTH } from './constants';
+import { COMPRESSION_DEFLATE } from './compression';
+import { decrypt, encrypt } from './crypto';
+import { bytesToHex, bytesToUtf8, utf8ToBytes } from './encoding';
+
+// Describe a file so the receiver knows what it is getting and how many chunks to expect. A
+// file read from disk gives its `size` and hex `sha256` in place of its `data`. A file sent as
+// part of a batch also carries the batch ID, its index in the batch and its relative path. A
+// file sent compressed gives the length of the compressed stream as `compressedSize`; its
+// chunks then cover that stream, while `size` and `sha256` stay those of the file itself.
+export const createManifest = (file, chunkSize, chunkCount, transferId, batch = null) => ({
+  transferId: bytesToHex(transferId),
+  name: file.name,
+  mimeType: file.mimeType || 'application/octet-stream',
+  size: file.data ? file.data.length : file.size,
+  chunkSize,
+  chunkCount,
+  sha256: file.data ? bytesToHex(sha256(file.data)) : file.sha256,
+  ...(batch && { batchId: batch.batchId, index: batch.index, path: batch.path }),
+  ...(file.compressedSize !== undefined && {
+    compression: COMPRESSION_DEFLATE,
+    compressedSize: file.compressedSize,
+  }),
+});
+
+// Encrypt a manifest with the given nonce and associated data. AES-GCM's tag authenticates
+// it along with the associated data, so it needs no MAC of its own.
+export const sealManifest = (key, manifest, { nonce, aad }) =>
+  encrypt(key, nonce, utf8ToBytes(JSON.stringify(manifest)), aad);
+
+// What the chunks of a manifest cover: the compressed stream of a file sent compressed, or
+// else the file itself
+export const streamSize = (manifest) => manifest.compressedSize ?? manifest.size;
+
+// Plaintext length of chunk `index`: the chunk size, or what is left for the last chunk
+export const chunkLength = (manifest, index) =>
+  index < manifest.chunkCount - 1
+    ? manifest.chunkSize
+    : streamSize(manifest) - manifest.chunkSize * (manifest.chunkCount - 1);
+
+// Hex digits of a SHA-256 digest
+const SHA256_HEX_LENGTH = 64;
+
+const isHex = (value, length) =>
+  typeof value === 'string' && value.length === length && /^[0-9a-f]+$/.test(value);
+
+// Why a manifest cannot be taken as it is, or null. Its sizes must add up: the chunks it
+// announces, none longer than `maxChunkSize`, must cover exactly the bytes it describes.
+const manifestFault = (manifest, maxChunkSize) => {
+  if (
+    !isHex(manifest.transferId, TRANSFER_ID_LENGTH * 2) ||
+    typeof manifest.name !== 'string' ||
+    !manifest.name ||
+    typeof manifest.mimeType !== 'string' ||
+    (manifest.batchId !== undefined &&
+      (typeof manifest.batchId !== 'string' ||
+        !Number.isInteger(manifest.index) ||
+        typeof manifest.path !== 'string')) ||
+    (manifest.compression !== undefined && manifest.compression !== COMPRESSION_DEFLATE)
+  ) {
+    return 'missing or invalid fields';
+  }
+  if (!isHex(manifest.sha256, SHA256_HEX_LENGTH)) {
+    return 'invalid SHA-256';
+  }
+  if (
+    !Number.isSafeInteger(manifest.size) ||
+    manifest.size < 0 ||
+    (manifest.compression !== undefined &&
+      (!Number.isSafeInteger(manifest.compressedSize) || manifest.compressedSize < 0))
+  ) {
+    return 'invalid size';
+  }
+  if (
+    !Number.isInteger(manifest.chunkSize) ||
+    manifest.chunkSize < 1 ||
+    manifest.chunkSize > maxChunkSize
+  ) {
+    return `chunk size ${manifest.chunkSize} is not between 1 and ${maxChunkSize}`;
+  }
+  if (manifest.chunkCount !== Math.ceil(streamSize(manifest) / manifest.chunkSize)) {
+    return `${manifest.chunkCount} chunks of ${manifest.chunkSize} bytes do not hold ${streamSize(
+      manifest
+    )} bytes`;
+  }
+  return null;
+};
+
+// Decrypt a sealed manifest; throws if it was tampered with, lacks fields or its sizes do not
+// add up, with chunks longer than `maxChunkSize` or too few or too many of them
+export const openManifest = (key, sealed, { nonce, aad, maxChunkSize = Infinity }) => {
+  const manifest = JSON.parse(bytesToUtf8(decrypt(key, nonce, sealed, aad)));
+  const fault = manifestFault(manifest, maxChunkSize);
+  if (fault) {
+    throw new Error('Malformed manifest: ' + fault);
+  }
+  return manifest;
+};
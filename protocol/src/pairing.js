@@ -0,0 +1,43 @@
+import nacl from 'tweetnacl';
+import { PROTOCOL_VERSION } from './constants';
+import { transcriptMac } from './crypto';
+import { base64ToBytes, bytesToBase64 } from './encoding';
+import { identityFingerprint } from './identity';
+
+export const PAIRING_TOKEN_LENGTH = 16;
+
+// What the receiver's QR code carries: who it is and a one-time token for the sender to prove
+// it scanned the code
+export const createPairingInvitation = (identityPublicKey, name) => ({
+  name,
+  fingerprint: identityFingerprint(identityPublicKey),
+  token: nacl.randomBytes(PAIRING_TOKEN_LENGTH),
+});
+
+export const encodePairingCode = ({ name, fingerprint, token }) =>
+  JSON.stringify({ v: PROTOCOL_VERSION, name, fingerprint, token: bytesToBase64(token) });
+
+// Parse scanned QR text back into an invitation; anything else is refused
+export const parsePairingCode = (text) => {
+  let code;
+  try {
+    code = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Invalid pairing code: not a pairing QR code');
+  }
+  if (!code || code.v !== PROTOCOL_VERSION) {
+    throw new Error('Invalid pairing code: unsupported version');
+  }
+  if (typeof code.name !== 'string' || typeof code.fingerprint !== 'string') {
+    throw new Error('Invalid pairing code: missing receiver identity');
+  }
+  const token = typeof code.token === 'string' ? base64ToBytes(code.token) : new Uint8Array(0);
+  if (token.length !== PAIRING_TOKEN_LENGTH) {
+    throw new Error('Invalid pairing code: bad token');
+  }
+  return { name: code.name, fingerprint: code.fingerprint, token };
+};
+
+// The sender's proof that it holds the token, bound to this handshake so it cannot be replayed
+export const pairingProof = (token, transcript) =>
+  transcriptMac(token, 'sender pairing', transcript);
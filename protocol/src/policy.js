@@ -0,0 +1,90 @@
+import { TRUST_PAIRED, TRUST_PINNED } from './TrustStore';
+
+export const RECEIVE_POLICY_STORAGE_KEY = 'ble-transfer/receive-policy';
+
+// What to do with an offered file or batch
+export const POLICY_ACCEPT = 'accept';
+export const POLICY_REJECT = 'reject';
+export const POLICY_ASK = 'ask';
+
+// Rules the receiver applies before asking its user: take everything from senders whose
+// identity key is pinned or QR-paired, turn down files over `maxFileSizeMB` (null for no
+// limit), and turn down programs and installers whoever sends them
+export const DEFAULT_RECEIVE_POLICY = {
+  autoAcceptTrusted: false,
+  maxFileSizeMB: null,
+  blockExecutables: true,
+};
+
+// Extensions and MIME types of files that run or install code when opened
+const EXECUTABLE_EXTENSIONS = new Set([
+  'apk',
+  'app',
+  'bat',
+  'cmd',
+  'com',
+  'cpl',
+  'deb',
+  'dmg',
+  'exe',
+  'ipa',
+  'jar',
+  'msi',
+  'pkg',
+  'ps1',
+  'rpm',
+  'scr',
+  'sh',
+  'vbs',
+]);
+const EXECUTABLE_MIME_TYPES = new Set([
+  'application/java-archive',
+  'application/vnd.android.package-archive',
+  'application/x-apple-diskimage',
+  'application/x-executable',
+  'application/x-msdos-program',
+  'application/x-msdownload',
+  'application/x-msi',
+  'application/x-sh',
+]);
+
+export const isExecutableFile = (name, mimeType) => {
+  const extension = /\.([^./]+)$/.exec(name.trim().toLowerCase());
+  return (
+    (extension !== null && EXECUTABLE_EXTENSIONS.has(extension[1])) ||
+    EXECUTABLE_MIME_TYPES.has(mimeType)
+  );
+};
+
+const isTrusted = (trust) => trust === TRUST_PINNED || trust === TRUST_PAIRED;
+
+// Most bytes a file may have under the policy, or null for no limit
+export const maxFileBytes = (policy) =>
+  policy.maxFileSizeMB === null ? null : policy.maxFileSizeMB * 1024 * 1024;
+
+// Decide on a file offered by a sender with the given trust: { decision, reason }, where
+// `reason` says why a file is turned down. `file` is a manifest or a batch manifest entry.
+export const checkFile = (policy, { name, path, size, mimeType }, trust) => {
+  const fileName = name ?? path.split('/').pop();
+  if (policy.blockExecutables && isExecutableFile(fileName, mimeType)) {
+    return { decision: POLICY_REJECT, reason: `${fileName} is a program or installer` };
+  }
+  const maxBytes = maxFileBytes(policy);
+  if (maxBytes !== null && size > maxBytes) {
+    return { decision: POLICY_REJECT, reason: `${fileName} is over ${policy.maxFileSizeMB} MB` };
+  }
+  return { decision: policy.autoAcceptTrusted && isTrusted(trust) ? POLICY_ACCEPT : POLICY_ASK };
+};
+
+// Decide on a batch as a whole. Its files are still checked one by one as they come.
+export const checkBatch = (policy, trust) => ({
+  decision: policy.autoAcceptTrusted && isTrusted(trust) ? POLICY_ACCEPT : POLICY_ASK,
+});
+
+export const loadReceivePolicy = async (storage) => {
+  const stored = await storage.getItem(RECEIVE_POLICY_STORAGE_KEY);
+  return { ...DEFAULT_RECEIVE_POLICY, ...(stored ? JSON.parse(stored) : {}) };
+};
+
+export const saveReceivePolicy = (storage, policy) =>
+  storage.setItem(RECEIVE_POLICY_STORAGE_KEY, JSON.stringify(policy));
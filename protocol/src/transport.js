@@ -0,0 +1,63 @@
+import { CHANNEL_HANDSHAKE, CHANNEL_TRANSFER, DEFAULT_MTU, ERROR_LINK_LOST } from './constants';
+import { base64ToBytes, bytesToBase64 } from './encoding';
+import { codedError } from './errors';
+
+/**
+ * A transport moves opaque frames between the two peers on named channels
+ * (CHANNEL_HANDSHAKE and CHANNEL_TRANSFER). Sessions only ever talk to this
+ * interface, so any link that implements it can carry the protocol.
+ *
+ * @typedef {Object} Transport
+ * @property {(channel: string, bytes: Uint8Array) => Promise<void>} send
+ * @property {(onFrame: (channel: string, bytes: Uint8Array) => void,
+ *   onError: (error: Error) => void) => () => void} subscribe
+ *   Start delivering incoming frames; returns a function that stops delivery.
+ * @property {() => Promise<void>} close
+ * @property {number} mtu Negotiated ATT MTU; each send() must fit in mtu - 3 bytes.
+ */
+
+// Transport over react-native-ble-plx characteristics (or anything with the same API). Pass
+// the MTU the connection negotiated; without it frames are sized for the BLE minimum.
+export class CharacteristicTransport {
+  constructor(handshakeChar, transferChar, { mtu = DEFAULT_MTU } = {}) {
+    this.mtu = mtu;
+    this.characteristics = {
+      [CHANNEL_HANDSHAKE]: handshakeChar,
+      [CHANNEL_TRANSFER]: transferChar,
+    };
+  }
+
+  async send(channel, bytes) {
+    const characteristic = this.characteristics[channel];
+    if (!characteristic) {
+      throw new Error('Unknown channel: ' + channel);
+    }
+    // Handshake writes are acknowledged; transfer writes go without response to speed up
+    try {
+      if (channel === CHANNEL_HANDSHAKE) {
+        await characteristic.writeWithResponse(bytesToBase64(bytes));
+      } else {
+        await characteristic.writeWithoutResponse(bytesToBase64(bytes));
+      }
+    } catch (err) {
+      throw codedError(ERROR_LINK_LOST, 'Write error: ' + err.message);
+    }
+  }
+
+  subscribe(onFrame, onError) {
+    const subscriptions = Object.entries(this.characteristics).map(([channel, characteristic]) =>
+      characteristic.monitor((error, value) => {
+        if (error) {
+          onError(codedError(ERROR_LINK_LOST, 'Notification error: ' + error.message));
+          return;
+        }
+        if (value?.value) {
+          onFrame(channel, base64ToBytes(value.value));
+        }
+      })
+    );
+    return () => subscriptions.forEach((subscription) => subscription.remove());
+  }
+
+  async close() {}
+}
@@ -9,20 +9,60 @@ import {
   PermissionsAndroid,
   Platform,
   Alert,
+  Modal,
   StyleSheet,
   ActivityIndicator,
+  Switch,
+  TextInput,
 } from 'react-native';
 import { BleManager } from 'react-native-ble-plx';
-import nacl from 'tweetnacl';
-import { sha256 } from 'crypto-js';
-import AES from 'react-native-aes-crypto';
-import base64 from 'react-native-base64';
 import RNFS from 'react-native-fs'; // For saving files
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+import QRCode from 'react-native-qrcode-svg';
+import {
+  ReceiverSession,
+  CharacteristicTransport,
+  TrustStore,
+  PartialStore,
+  ERROR_INTEGRITY,
+  TRUST_CHANGED,
+  TRUST_PAIRED,
+  TRUST_PINNED,
+  createPairingInvitation,
+  encodePairingCode,
+  identityFingerprint,
+  keychainStorage,
+  loadOrCreateIdentity,
+  SERVICE_UUID,
+  HANDSHAKE_CHAR_UUID,
+  TRANSFER_CHAR_UUID,
+  availableFileName,
+  sanitizeRelativePath,
+  DEFAULT_RECEIVE_POLICY,
+  POLICY_ACCEPT,
+  POLICY_REJECT,
+  checkBatch,
+  checkFile,
+  loadReceivePolicy,
+  maxFileBytes,
+  saveReceivePolicy,
+  transferRates,
+} from './protocol';
+
+// A pinned or QR-paired peer is verified by its identity key, with no codes to compare
+const needsComparison = (trust) => trust !== TRUST_PINNED && trust !== TRUST_PAIRED;
+
+const TRUST_LABELS = {
+  [TRUST_PINNED]: 'verified before',
+  [TRUST_PAIRED]: 'paired by QR code',
+};
 
-// Sample UUIDs for BLE service and characteristics (same as sender)
-const SERVICE_UUID = '12345678-1234-5678-1234-56789abcdef0';
-const HANDSHAKE_CHAR_UUID = '12345678-1234-5678-1234-56789abcdef1';
-const TRANSFER_CHAR_UUID = '12345678-1234-5678-1234-56789abcdef2';
+// How fast the file being received arrives and, when it comes compressed, how fast bytes come
+// over the air
+const formatRates = ({ raw, effective }, compressed) =>
+  `${(effective / 1024).toFixed(1)} KB/s` +
+  (compressed ? ` (${(raw / 1024).toFixed(1)} KB/s compressed over the air)` : '');
 
 const App = () => {
   const manager = useRef(new BleManager()).current;
@@ -33,20 +73,49 @@ const App = () => {
   const [connectionStatus, setConnectionStatus] = useState('Not advertising');
   const [receivedFileName, setReceivedFileName] = useState(null);
   const [transferProgress, setTransferProgress] = useState(0);
+  // How fast the current file is arriving, and when it started
+  const [throughput, setThroughput] = useState(null);
+  const receiveStartedAt = useRef(0);
+  // Files of the batch being received, each { path, size, state, progress }, and the overall
+  // progress through it
+  const [batchFiles, setBatchFiles] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(0);
+  // Manifest of the file being received
+  const receiving = useRef(null);
   const [error, setError] = useState(null);
-
-  // Cryptographic keys and shared secret
-  const ephemeralKeyPair = useRef(null);
-  const sharedSecret = useRef(null);
-  const aesKey = useRef(null);
-
-  // BLE characteristics
-  const handshakeChar = useRef(null);
-  const transferChar = useRef(null);
-
-  // Received chunks
-  const receivedChunks = useRef([]);
-  const totalChunks = useRef(0);
+  const [sas, setSas] = useState(null);
+  const [isVerified, setIsVerified] = useState(false);
+  // Incoming file or batch the user is asked about: { title, message, answer }
+  const [offerPrompt, setOfferPrompt] = useState(null);
+
+  // Secure session with the connected sender (handshake, decryption and ACKs)
+  const session = useRef(null);
+
+  // Long-term identity of this device and the senders the user has verified before
+  const identity = useRef(null);
+  const trustStore = useRef(new TrustStore(AsyncStorage)).current;
+  const [peer, setPeer] = useState(null);
+
+  // Rules for incoming transfers, applied before the user is asked; the ref is what sessions
+  // see, the state is what gets rendered
+  const receivePolicy = useRef(DEFAULT_RECEIVE_POLICY);
+  const [policySettings, setPolicySettings] = useState(DEFAULT_RECEIVE_POLICY);
+
+  // Files being received are written here chunk by chunk; unfinished ones stay so a sender that
+  // reconnects can resume
+  const partials = useRef(
+    new PartialStore(RNFS, `${RNFS.DocumentDirectoryPath}/.partial-transfers`)
+  ).current;
+
+  // One-time pairing invitation shown as a QR code for the sender to scan; the ref is what
+  // sessions see, the state is what gets rendered
+  const pairingInvitation = useRef(null);
+  const [pairingCode, setPairingCode] = useState(null);
+
+  const renewPairingInvitation = (name) => {
+    pairingInvitation.current = createPairingInvitation(identity.current.publicKey, name);
+    setPairingCode(encodePairingCode(pairingInvitation.current));
+  };
 
   // Permissions request for Android
   const requestPermissions = async () => {
@@ -85,11 +154,18 @@ const App = () => {
     setConnectionStatus('Advertising...');
 
     try {
+      if (!identity.current) {
+        identity.current = await loadOrCreateIdentity(keychainStorage(Keychain), AsyncStorage);
+      }
+      // Tell nearby receivers apart by the start of their identity fingerprint
+      const advertisedName = `BLE File Receiver ${identityFingerprint(identity.current.publicKey).slice(0, 4)}`;
+      renewPairingInvitation(advertisedName);
+
       // Add service with characteristics
       await manager.addListener('stateChange', (state) => {
         if (state === 'PoweredOn') {
           manager.startAdvertising({
-            localName: 'BLE File Receiver',
+            localName: advertisedName,
             serviceUUIDs: [SERVICE_UUID],
           });
         }
@@ -100,12 +176,20 @@ const App = () => {
         if (error) {
           setError('Disconnect error: ' + error.message);
         }
+        // Chunks received so far stay on disk; the sender resumes from them when it reconnects
+        const manifest = session.current?.manifest;
+        const interrupted = manifest && session.current.receivedCount < manifest.chunkCount;
         setConnectedDevice(null);
-        setConnectionStatus('Disconnected');
+        setConnectionStatus(
+          interrupted ? `Disconnected, ${manifest.name} will resume on reconnect` : 'Disconnected'
+        );
         setReceivedFileName(null);
         setTransferProgress(0);
-        receivedChunks.current = [];
-        totalChunks.current = 0;
+        setSas(null);
+        setPeer(null);
+        setIsVerified(false);
+        session.current?.close();
+        session.current = null;
       });
 
       manager.onDeviceConnected(async (error, device) => {
@@ -114,7 +198,7 @@ const App = () => {
           return;
         }
         setConnectedDevice(device);
-        setConnectionStatus('Connected');
+        setConnectionStatus('Confirming keys...');
 
         // Discover services and characteristics
         await device.discoverAllServicesAndCharacteristics();
@@ -141,23 +225,14 @@ const App = () => {
           return;
         }
 
-        handshakeChar.current = handshakeCharacteristic;
-        transferChar.current = transferCharacteristic;
-
-        // Perform key exchange
-        await performKeyExchange();
-
-        // Start listening for file chunks
-        await transferChar.current.monitor(async (error, characteristic) => {
-          if (error) {
-            setError('Notification error: ' + error.message);
-            return;
-          }
-          if (characteristic?.value) {
-            const encryptedChunkBase64 = base64.decode(characteristic.value);
-            await processReceivedChunk(encryptedChunkBase64);
-          }
-        });
+        // Answer the sender's key exchange, then receive the file it announces
+        session.current = createSession(
+          new CharacteristicTransport(handshakeCharacteristic, transferCharacteristic, {
+            mtu: device.mtu,
+          }),
+          device
+        );
+        session.current.start();
       });
 
     } catch (err) {
@@ -178,106 +253,236 @@ const App = () => {
     }
   };
 
-  // Generate ephemeral Curve25519 key pair
-  const generateEphemeralKeyPair = () => {
-    const keyPair = nacl.box.keyPair();
-    return keyPair;
-  };
-
-  // Perform key exchange over handshake characteristic
-  const performKeyExchange = async () => {
-    try {
-      ephemeralKeyPair.current = generateEphemeralKeyPair();
-
-      // Read sender's public key
-      const senderPubChar = await handshakeChar.current.read();
-      if (!senderPubChar?.value) {
-        throw new Error('Failed to read sender public key');
+  // Wire session events into component state
+  const createSession = (transport, device) => {
+    const newSession = new ReceiverSession(transport, {
+      identity: identity.current,
+      trustStore,
+      peerId: device.id,
+      pairing: pairingInvitation.current,
+      partials,
+      destination: savePath,
+      approve: approveOffer,
+      // The policy's size limit holds for the bytes that arrive, not only the size claimed
+      maxFileSize: () => maxFileBytes(receivePolicy.current),
+    });
+    newSession.on('secure', (code, peerInfo) => {
+      setSas(code);
+      setPeer(peerInfo);
+      if (peerInfo.trust === TRUST_PAIRED) {
+        // The sender used this QR code; show a fresh one for the next sender
+        renewPairingInvitation(pairingInvitation.current.name);
       }
-      const senderPubKeyStr = base64.decode(senderPubChar.value);
-      const senderPubKeyUint8 = Uint8Array.from(senderPubKeyStr, (c) => c.charCodeAt(0));
-
-      // Write our public key
-      const pubKeyStr = base64.encode(String.fromCharCode(...ephemeralKeyPair.current.publicKey));
-      await handshakeChar.current.writeWithResponse(pubKeyStr);
-
-      // Derive shared secret
-      sharedSecret.current = nacl.box.before(senderPubKeyUint8, ephemeralKeyPair.current.secretKey);
-
-      // Derive AES key
-      await deriveAESKey(sharedSecret.current);
-
-    } catch (err) {
-      setError('Key exchange error: ' + err.message);
-    }
+      if (needsComparison(peerInfo.trust)) {
+        setConnectionStatus('Compare verification code');
+      }
+    });
+    // A pinned sender presented a different identity key: it may be an impostor
+    newSession.on('identityChanged', ({ fingerprint }) =>
+      Alert.alert(
+        'Sender identity changed',
+        `This sender's identity key is not the one you verified before (now ${fingerprint}). ` +
+          'Only accept files if the verification codes match.'
+      )
+    );
+    newSession.on('verified', () => {
+      setIsVerified(true);
+      setConnectionStatus('Connected');
+    });
+    // Keys or verification codes did not match: drop the connection before any file data
+    newSession.on('handshakeFailed', async (err) => {
+      setError(err.message);
+      setConnectionStatus('Handshake failed');
+      setSas(null);
+      setPeer(null);
+      setIsVerified(false);
+      try {
+        await manager.cancelDeviceConnection(device.id);
+      } catch (cancelErr) {
+        // ignore
+      }
+    });
+    newSession.on('batch', (batch) => {
+      setBatchFiles(batch.files.map((file) => ({ ...file, state: 'waiting', progress: 0 })));
+      setBatchProgress(0);
+    });
+    newSession.on('manifest', (manifest) => {
+      receiving.current = manifest;
+      receiveStartedAt.current = Date.now();
+      setReceivedFileName(null);
+      setTransferProgress(0);
+      setThroughput(null);
+      setConnectionStatus(`Receiving ${manifest.name} (${(manifest.size / 1024).toFixed(2)} KB)`);
+      if (manifest.batchId !== undefined) {
+        updateBatchFile(manifest.index, { state: 'receiving' });
+      }
+    });
+    newSession.on('progress', (percent) => {
+      setTransferProgress(percent);
+      const manifest = receiving.current;
+      if (manifest) {
+        setThroughput({
+          ...transferRates(manifest, percent, Date.now() - receiveStartedAt.current),
+          compressed: manifest.compression !== undefined,
+        });
+      }
+    });
+    newSession.on('batchProgress', ({ index, percent, overall }) => {
+      setBatchProgress(overall);
+      updateBatchFile(index, { progress: percent });
+    });
+    newSession.on('file', showSavedFile);
+    newSession.on('declined', ({ manifest, batch }) => {
+      if (manifest?.batchId !== undefined) {
+        updateBatchFile(manifest.index, { state: 'declined' });
+      } else {
+        setConnectionStatus(`Declined ${manifest ? manifest.name : `${batch.files.length} files`}`);
+      }
+    });
+    // The sender cancelled a transfer and what we kept of it is deleted
+    newSession.on('aborted', ({ transferId }) => {
+      const manifest = receiving.current;
+      if (manifest?.transferId !== transferId) {
+        return;
+      }
+      receiving.current = null;
+      setConnectionStatus(`Sender cancelled ${manifest.name}`);
+      setTransferProgress(0);
+      if (manifest.batchId !== undefined) {
+        updateBatchFile(manifest.index, { state: 'cancelled' });
+      }
+    });
+    newSession.on('error', (err) => {
+      setError(err.message);
+      // The assembled file did not match the sender's signed digest and was not saved
+      if (err.code === ERROR_INTEGRITY) {
+        setConnectionStatus('Transfer rejected');
+        const { manifest } = newSession;
+        if (manifest.batchId !== undefined) {
+          updateBatchFile(manifest.index, { state: 'rejected' });
+        } else {
+          Alert.alert('File rejected', err.message);
+        }
+      }
+    });
+    return newSession;
   };
 
-  // Derive AES-GCM key from shared secret
-  const deriveAESKey = async (sharedSecretUint8) => {
+  // The user compared the verification codes shown on both devices
+  const confirmSas = async (matches) => {
+    if (matches) {
+      setConnectionStatus('Waiting for sender to confirm code...');
+    }
     try {
-      const sharedSecretHex = Buffer.from(sharedSecretUint8).toString('hex');
-      const hash = sha256(sharedSecretHex).toString();
-      const aesKeyHex = hash.slice(0, 64);
-      aesKey.current = aesKeyHex;
+      await session.current?.confirmSas(matches);
     } catch (err) {
-      setError('AES key derivation error: ' + err.message);
+      setError('Verification error: ' + err.message);
     }
   };
 
-  // Process received encrypted chunk
-  const processReceivedChunk = async (encryptedChunkBase64) => {
-    try {
-      // Decrypt chunk
-      const decryptedChunk = await decryptChunk(encryptedChunkBase64);
-      receivedChunks.current.push(decryptedChunk);
-
-      // Send ACK
-      await transferChar.current.writeWithoutResponse(base64.encode('ACK'));
-
-      // Update progress (assuming we know total chunks somehow, or estimate)
-      setTransferProgress(Math.round((receivedChunks.current.length / totalChunks.current) * 100));
-
-      // If this is the last chunk, assemble and save file
-      if (receivedChunks.current.length === totalChunks.current) {
-        await assembleAndSaveFile();
-      }
+  const updateBatchFile = (index, changes) =>
+    setBatchFiles((files) =>
+      files?.map((file, i) => (i === index ? { ...file, ...changes } : file))
+    );
+
+  // Where a verified file is moved: the sender's name, or its relative path within a batch,
+  // made safe, with the extension of its MIME type if it has none, and a numbered suffix
+  // rather than overwriting an earlier file. Folders of a batch are created as needed.
+  const savePath = async (manifest) => {
+    const { directories, name } = sanitizeRelativePath(
+      manifest.path ?? manifest.name,
+      manifest.mimeType
+    );
+    const directory = [RNFS.DocumentDirectoryPath, ...directories].join('/');
+    await RNFS.mkdir(directory);
+    const fileName = await availableFileName(directory, name, RNFS.exists);
+    return `${directory}/${fileName}`;
+  };
 
-    } catch (err) {
-      setError('Chunk processing error: ' + err.message);
+  // The session has already moved the verified file into place; files of a batch are listed
+  // instead of each raising an alert
+  const showSavedFile = ({ manifest, path }) => {
+    const fileName = path.slice(RNFS.DocumentDirectoryPath.length + 1);
+    setReceivedFileName(fileName);
+    setConnectionStatus('Connected');
+    if (manifest.batchId !== undefined) {
+      updateBatchFile(manifest.index, { state: 'saved', progress: 100 });
+    } else {
+      Alert.alert('File received', `File saved to ${path} (${manifest.mimeType})`);
     }
   };
 
-  // Decrypt chunk with AES-GCM
-  const decryptChunk = async (encryptedChunkBase64) => {
-    try {
-      // Assume encryptedChunkBase64 is iv + cipher
-      const encryptedData = base64.decode(encryptedChunkBase64);
-      const iv = encryptedData.slice(0, 12); // 12 bytes IV
-      const cipher = encryptedData.slice(12);
-
-      const decrypted = await AES.decrypt(cipher, aesKey.current, iv, 'aes-256-gcm');
-      return decrypted;
-    } catch (err) {
-      throw new Error('Decryption error: ' + err.message);
-    }
+  useEffect(() => {
+    loadReceivePolicy(AsyncStorage)
+      .then((policy) => {
+        receivePolicy.current = policy;
+        setPolicySettings(policy);
+      })
+      .catch((err) => setError('Settings error: ' + err.message));
+  }, []);
+
+  const updatePolicy = (changes) => {
+    const policy = { ...receivePolicy.current, ...changes };
+    receivePolicy.current = policy;
+    setPolicySettings(policy);
+    saveReceivePolicy(AsyncStorage, policy).catch((err) =>
+      setError('Settings error: ' + err.message)
+    );
   };
 
-  // Assemble chunks and save file
-  const assembleAndSaveFile = async () => {
-    try {
-      const fileData = receivedChunks.current.join('');
-      const filePath = `${RNFS.DocumentDirectoryPath}/received_file.txt`; // Example, adjust based on file type
-      await RNFS.writeFile(filePath, fileData, 'base64');
-      Alert.alert('File received', `File saved to ${filePath}`);
-      setReceivedFileName('received_file.txt');
-    } catch (err) {
-      setError('File save error: ' + err.message);
+  // Ask the user about an incoming file or batch; resolves true if they accept it. The prompt
+  // goes away unanswered once `signal` aborts, when the session stops waiting and declines.
+  const askToAccept = (title, message, signal) =>
+    new Promise((resolve) => {
+      const answer = (accepted) => {
+        signal.removeEventListener('abort', expire);
+        setOfferPrompt(null);
+        resolve(accepted);
+      };
+      const expire = () => answer(false);
+      signal.addEventListener('abort', expire);
+      setOfferPrompt({ title, message, answer });
+    });
+
+  // Decide on a file or batch the sender offers: the policy's rules first, then the user. Files
+  // of a batch the user accepted are only checked against the rules.
+  const approveOffer = async ({ manifest, batch, peer: sender, signal }) => {
+    const policy = receivePolicy.current;
+    const verdict = manifest
+      ? checkFile(policy, manifest, sender.trust)
+      : checkBatch(policy, sender.trust);
+    if (verdict.decision === POLICY_REJECT) {
+      setError(`Declined automatically: ${verdict.reason}`);
+      return false;
+    }
+    if (verdict.decision === POLICY_ACCEPT || (manifest && batch)) {
+      return true;
+    }
+    const from = `From ${sender.fingerprint} (${TRUST_LABELS[sender.trust] || 'new sender'})`;
+    if (manifest) {
+      return askToAccept(
+        'Incoming file',
+        `${manifest.name}\n${(manifest.size / 1024).toFixed(2)} KB, ` +
+          `${manifest.mimeType || 'unknown type'}\n${from}`,
+        signal
+      );
+    }
+    const size = batch.files.reduce((total, file) => total + file.size, 0);
+    const listed = batch.files.slice(0, 5).map((file) => file.path);
+    if (batch.files.length > listed.length) {
+      listed.push(`and ${batch.files.length - listed.length} more`);
     }
+    return askToAccept(
+      'Incoming files',
+      `${batch.files.length} files, ${(size / 1024).toFixed(2)} KB\n${listed.join('\n')}\n${from}`,
+      signal
+    );
   };
 
   // Cleanup on unmount
   useEffect(() => {
     return () => {
+      session.current?.close();
       manager.destroy();
     };
   }, [manager]);
@@ -294,8 +499,12 @@ const App = () => {
       setConnectionStatus('Disconnected');
       setReceivedFileName(null);
       setTransferProgress(0);
-      receivedChunks.current = [];
-      totalChunks.current = 0;
+      setBatchFiles(null);
+      setSas(null);
+      setPeer(null);
+      setIsVerified(false);
+      await session.current?.close();
+      session.current = null;
     }
   };
 
@@ -318,11 +527,84 @@ const App = () => {
         )}
       </View>
 
+      {isAdvertising && !connectedDevice && pairingCode && (
+        <View style={[styles.section, styles.pairing]}>
+          <Text style={styles.status}>Scan with the sender to pair:</Text>
+          <QRCode value={pairingCode} size={200} />
+        </View>
+      )}
+
+      {peer?.trust === TRUST_CHANGED && !isVerified && (
+        <View style={styles.section}>
+          <Text style={styles.warning}>
+            Warning: this sender's identity key has changed since you last verified it.
+          </Text>
+        </View>
+      )}
+
+      {sas && !isVerified && needsComparison(peer?.trust) && (
+        <View style={styles.section}>
+          <Text style={styles.status}>Verification code:</Text>
+          <Text style={styles.sas}>{sas}</Text>
+          <Text style={styles.fileInfo}>Check that the sender shows the same code.</Text>
+          <Text style={styles.fileInfo}>Sender fingerprint: {peer?.fingerprint}</Text>
+          <Button title="Codes match" onPress={() => confirmSas(true)} />
+          <Button title="Codes differ" onPress={() => confirmSas(false)} color="red" />
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.status}>Incoming transfers:</Text>
+        <View style={styles.setting}>
+          <Text style={styles.fileInfo}>Accept from verified senders without asking</Text>
+          <Switch
+            value={policySettings.autoAcceptTrusted}
+            onValueChange={(value) => updatePolicy({ autoAcceptTrusted: value })}
+          />
+        </View>
+        <View style={styles.setting}>
+          <Text style={styles.fileInfo}>Block programs and installers</Text>
+          <Switch
+            value={policySettings.blockExecutables}
+            onValueChange={(value) => updatePolicy({ blockExecutables: value })}
+          />
+        </View>
+        <View style={styles.setting}>
+          <Text style={styles.fileInfo}>Largest file in MB (empty for no limit)</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            value={policySettings.maxFileSizeMB === null ? '' : String(policySettings.maxFileSizeMB)}
+            onChangeText={(text) => {
+              const size = parseInt(text, 10);
+              updatePolicy({ maxFileSizeMB: Number.isNaN(size) ? null : size });
+            }}
+          />
+        </View>
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.progress}>Progress: {transferProgress}%</Text>
+        {throughput && (
+          <Text style={styles.fileInfo}>
+            Speed: {formatRates(throughput, throughput.compressed)}
+          </Text>
+        )}
         {receivedFileName && (
           <Text style={styles.fileInfo}>Received File: {receivedFileName}</Text>
         )}
+        {batchFiles && (
+          <>
+            <Text style={styles.progress}>
+              Batch: {batchProgress}% of {batchFiles.length} files
+            </Text>
+            {batchFiles.map((file) => (
+              <Text key={file.path} style={styles.fileInfo}>
+                {file.path} - {file.state === 'receiving' ? `${file.progress}%` : file.state}
+              </Text>
+            ))}
+          </>
+        )}
       </View>
 
       {error && (
@@ -330,6 +612,24 @@ const App = () => {
           <Text style={styles.error}>Error: {error}</Text>
         </View>
       )}
+
+      <Modal
+        visible={offerPrompt !== null}
+        transparent
+        animationType="fade"
+        onRequestClose={() => offerPrompt?.answer(false)}
+      >
+        <View style={styles.backdrop}>
+          <View style={styles.prompt}>
+            <Text style={styles.status}>{offerPrompt?.title}</Text>
+            <Text style={styles.fileInfo}>{offerPrompt?.message}</Text>
+            <View style={styles.promptButtons}>
+              <Button title="Decline" onPress={() => offerPrompt?.answer(false)} />
+              <Button title="Accept" onPress={() => offerPrompt?.answer(true)} />
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -361,10 +661,56 @@ const styles = StyleSheet.create({
     marginTop: 6,
     fontSize: 14,
   },
+  sas: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    letterSpacing: 6,
+    textAlign: 'center',
+    marginVertical: 6,
+  },
   error: {
     color: 'red',
     fontWeight: 'bold',
   },
+  pairing: {
+    alignItems: 'center',
+  },
+  setting: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  input: {
+    minWidth: 60,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  prompt: {
+    padding: 16,
+    borderRadius: 8,
+    backgroundColor: 'white',
+  },
+  promptButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  warning: {
+    color: 'white',
+    backgroundColor: '#c62828',
+    fontWeight: 'bold',
+    padding: 8,
+    borderRadius: 6,
+  },
 });
 
 export default App;
@@ -14,17 +14,123 @@ import {
 } from 'react-native';
 import { BleManager } from 'react-native-ble-plx';
 import DocumentPicker from 'react-native-document-picker';
-import nacl from 'tweetnacl';
-import { sha256 } from 'crypto-js';
-import AES from 'react-native-aes-crypto';
-import base64 from 'react-native-base64';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+import RNFS from 'react-native-fs';
+import { Camera, useCameraDevice, useCodeScanner } from 'react-native-vision-camera';
+import {
+  SenderSession,
+  CharacteristicTransport,
+  TrustStore,
+  TRUST_CHANGED,
+  TRUST_PAIRED,
+  TRUST_PINNED,
+  keychainStorage,
+  loadOrCreateIdentity,
+  parsePairingCode,
+  MAX_MTU,
+  SERVICE_UUID,
+  HANDSHAKE_CHAR_UUID,
+  TRANSFER_CHAR_UUID,
+  ERROR_LINK_LOST,
+  ERROR_PAUSED,
+  ERROR_REJECTED,
+  ERROR_REKEY_REQUIRED,
+  ERROR_SESSION_CLOSED,
+  FileSystemSource,
+  TransferQueue,
+  QUEUE_COMPLETED,
+  QUEUE_FAILED,
+  QUEUE_PAUSED,
+  QUEUE_QUEUED,
+  QUEUE_REJECTED,
+  QUEUE_SENDING,
+  transferRates,
+} from './protocol';
+
+// A pinned or QR-paired peer is verified by its identity key, with no codes to compare
+const needsComparison = (trust) => trust !== TRUST_PINNED && trust !== TRUST_PAIRED;
+
+// After an unexpected disconnect, reconnect up to RECONNECT_ATTEMPTS times, waiting 1, 2, 4...
+// seconds between attempts
+const RECONNECT_ATTEMPTS = 5;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 16000;
+
+const isRejection = (err) => err.code === ERROR_REJECTED;
+const isLinkLoss = (err) => err.code === ERROR_LINK_LOST || err.code === ERROR_SESSION_CLOSED;
+
+// How fast the file being sent goes and, when it goes compressed, how fast bytes go over the
+// air
+const formatRates = ({ raw, effective }, compressed) =>
+  `${(effective / 1024).toFixed(1)} KB/s` +
+  (compressed ? ` (${(raw / 1024).toFixed(1)} KB/s compressed over the air)` : '');
+
+// What a queued item is called in the list
+const itemLabel = ({ files }) =>
+  files.length === 1
+    ? files[0].relativePath
+    : `${files[0].relativePath} and ${files.length - 1} more`;
+
+// Path of a local file:// URI
+const uriToPath = (uri) => decodeURIComponent(uri.replace(/^file:\/\//, ''));
+
+// Picked files are sent from copies in the app's cache. They go once their item is done with,
+// and the system may clear the cache sooner, while the item still waits.
+const deleteCopies = async (files) => {
+  for (const file of files.filter((candidate) => candidate.isCopy)) {
+    try {
+      await RNFS.unlink(file.path);
+    } catch (err) {
+      // Already gone
+    }
+  }
+};
+
+// The first picked file of an item whose copy is no longer in the cache
+const findMissingCopy = async (files) => {
+  for (const file of files.filter((candidate) => candidate.isCopy)) {
+    if (!(await RNFS.exists(file.path))) {
+      return file;
+    }
+  }
+  return null;
+};
 
-// Sample UUIDs for BLE service and characteristics
-const SERVICE_UUID = '12345678-1234-5678-1234-56789abcdef0';
-const HANDSHAKE_CHAR_UUID = '12345678-1234-5678-1234-56789abcdef1';
-const TRANSFER_CHAR_UUID = '12345678-1234-5678-1234-56789abcdef2';
+// A picked folder comes back as a file:// URL on iOS and as a storage access tree URI on
+// Android; folders on the device's shared storage are then read by path
+const folderPath = (uri) => {
+  if (uri.startsWith('file://')) {
+    return uriToPath(uri).replace(/\/$/, '');
+  }
+  const tree = /^content:\/\/com\.android\.externalstorage\.documents\/tree\/primary%3A(.*)$/.exec(uri);
+  if (tree) {
+    return `${RNFS.ExternalStorageDirectoryPath}/${decodeURIComponent(tree[1])}`;
+  }
+  throw new Error('This folder cannot be read directly; pick its files instead');
+};
 
-const CHUNK_SIZE = 180; // bytes per BLE payload chunk
+// Every file under a folder, with its path relative to the folder's parent so the receiver
+// recreates the folder itself
+const listFolder = async (directory, relativeDirectory) => {
+  const files = [];
+  for (const item of await RNFS.readDir(directory)) {
+    const relativePath = `${relativeDirectory}/${item.name}`;
+    if (item.isDirectory()) {
+      files.push(...(await listFolder(item.path, relativePath)));
+    } else if (item.isFile()) {
+      files.push({
+        key: item.path,
+        name: item.name,
+        type: null,
+        size: Number(item.size),
+        path: item.path,
+        relativePath,
+      });
+    }
+  }
+  return files;
+};
 
 const App = () => {
   const manager = useRef(new BleManager()).current;
@@ -34,21 +140,54 @@ const App = () => {
   const [devices, setDevices] = useState([]);
   const [connectedDevice, setConnectedDevice] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('Disconnected');
-  const [fileInfo, setFileInfo] = useState(null);
+  // Outgoing transfers, kept across app restarts and sent one at a time whenever a verified
+  // receiver is connected. Each item's files are { key, name, type, size, path, relativePath }.
+  const transferQueue = useRef(new TransferQueue(AsyncStorage)).current;
+  const [queueItems, setQueueItems] = useState([]);
+  const queueRunning = useRef(false);
+  // State and progress of each file of the item being sent, by key, and overall progress
+  // through the item
+  const [fileStatus, setFileStatus] = useState({});
   const [transferProgress, setTransferProgress] = useState(0);
+  // The file being sent, when it started and how fast it is going
+  const sending = useRef(null);
+  const [throughput, setThroughput] = useState(null);
+
+  // Reconnection after an unexpected drop: the device's disconnect subscription, the pending
+  // retry and how many attempts were made
+  const reconnection = useRef({ subscription: null, timer: null, attempt: 0 });
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
   const [error, setError] = useState(null);
 
-  // Cryptographic keys and shared secret
-  const ephemeralKeyPair = useRef(null);
-  const sharedSecret = useRef(null);
-  const aesKey = useRef(null);
+  // Secure session over the connected device (handshake, encryption and ACKs)
+  const session = useRef(null);
+  const [sas, setSas] = useState(null);
+  const [isVerified, setIsVerified] = useState(false);
 
-  // BLE characteristics
-  const handshakeChar = useRef(null);
-  const transferChar = useRef(null);
+  // Long-term identity of this device and the receivers the user has verified before
+  const identity = useRef(null);
+  const trustStore = useRef(new TrustStore(AsyncStorage)).current;
+  const [peer, setPeer] = useState(null);
 
-  // ACK handling
-  const ackReceived = useRef(true);
+  // Receiver pre-authorised by scanning its pairing QR code; used once, for that receiver only
+  const [pairing, setPairing] = useState(null);
+  const [isScanningCode, setIsScanningCode] = useState(false);
+  const camera = useCameraDevice('back');
+  const codeScanner = useCodeScanner({
+    codeTypes: ['qr'],
+    onCodeScanned: (codes) => {
+      if (!codes.length) return;
+      setIsScanningCode(false);
+      try {
+        const scanned = parsePairingCode(codes[0].value);
+        setPairing(scanned);
+        setError(null);
+        setConnectionStatus(`Paired with ${scanned.name}, scan for devices to connect`);
+      } catch (err) {
+        setError(err.message);
+      }
+    },
+  });
 
   // Permissions request for Android
   const requestPermissions = async () => {
@@ -111,16 +250,34 @@ const App = () => {
     }, 10000);
   };
 
-  // Connect to selected device
-  const connectToDevice = async (device) => {
+  // Open the camera to scan the pairing QR code shown by the receiver
+  const scanPairingCode = async () => {
+    const permission = await Camera.requestCameraPermission();
+    if (permission !== 'granted') {
+      Alert.alert('Permission required', 'Camera permission is required to scan pairing codes.');
+      return;
+    }
+    setError(null);
+    setIsScanningCode(true);
+  };
+
+  // Connect to selected device; `isReconnect` when retrying after the link dropped
+  const connectToDevice = async (device, { isReconnect = false } = {}) => {
     setError(null);
-    setConnectionStatus('Connecting...');
+    if (!isReconnect) {
+      setConnectionStatus('Connecting...');
+    }
     try {
       const connected = await manager.connectToDevice(device.id);
       setConnectedDevice(connected);
+      watchDisconnect(connected);
       setConnectionStatus('Discovering services...');
       await connected.discoverAllServicesAndCharacteristics();
 
+      // Ask for the largest MTU and size frames to whatever the link settled on (iOS
+      // negotiates by itself and just reports its value)
+      const { mtu } = await connected.requestMTU(MAX_MTU);
+
       // Get handshake and transfer characteristics
       const services = await connected.services();
       let handshakeCharacteristic = null;
@@ -147,101 +304,223 @@ const App = () => {
         return;
       }
 
-      handshakeChar.current = handshakeCharacteristic;
-      transferChar.current = transferCharacteristic;
-
-      // Setup notification for ACKs on transfer characteristic
-      await transferChar.current.monitor((error, characteristic) => {
-        if (error) {
-          setError('Notification error: ' + error.message);
-          return;
-        }
-        if (characteristic?.value) {
-          const value = base64.decode(characteristic.value);
-          if (value === 'ACK') {
-            ackReceived.current = true;
-          }
-        }
-      });
+      if (!identity.current) {
+        identity.current = await loadOrCreateIdentity(keychainStorage(Keychain), AsyncStorage);
+      }
+      session.current = createSession(
+        new CharacteristicTransport(handshakeCharacteristic, transferCharacteristic, { mtu }),
+        connected
+      );
 
-      setConnectionStatus('Connected');
+      setConnectionStatus('Confirming keys...');
 
       // Generate ephemeral key pair and perform handshake
-      await performKeyExchange();
+      await performKeyExchange(connected);
 
     } catch (err) {
+      // A link that dropped, even mid-handshake, is reconnected like one that drops later,
+      // unless the user disconnected meanwhile and so stopped watching it
+      if (isReconnect || isLinkLoss(err)) {
+        if (reconnection.current.subscription) {
+          await handleLinkLost(device);
+        }
+        return;
+      }
       setError('Connection error: ' + err.message);
       setConnectionStatus('Disconnected');
       setConnectedDevice(null);
     }
   };
 
-  // Generate ephemeral Curve25519 key pair
-  const generateEphemeralKeyPair = () => {
-    const keyPair = nacl.box.keyPair();
-    return keyPair;
+  const watchDisconnect = (device) => {
+    reconnection.current.subscription?.remove();
+    reconnection.current.subscription = device.onDisconnected(() => handleLinkLost(device));
   };
 
-  // Perform key exchange over handshake characteristic
-  const performKeyExchange = async () => {
-    try {
-      ephemeralKeyPair.current = generateEphemeralKeyPair();
+  // The link dropped without anyone asking: drop the session and start reconnecting
+  const handleLinkLost = async (device) => {
+    if (reconnection.current.timer) {
+      return;
+    }
+    await session.current?.close();
+    session.current = null;
+    setSas(null);
+    setPeer(null);
+    setIsVerified(false);
+    scheduleReconnect(device);
+  };
+
+  const scheduleReconnect = (device) => {
+    const attempt = reconnection.current.attempt + 1;
+    if (attempt > RECONNECT_ATTEMPTS) {
+      stopReconnecting();
+      setConnectedDevice(null);
+      setConnectionStatus('Disconnected');
+      setError(`Lost the connection to ${device.name || device.id} and could not reconnect`);
+      return;
+    }
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+    reconnection.current.attempt = attempt;
+    setReconnectAttempt(attempt);
+    setConnectionStatus(
+      `Connection lost, reconnecting in ${delay / 1000}s (attempt ${attempt} of ${RECONNECT_ATTEMPTS})`
+    );
+    reconnection.current.timer = setTimeout(() => {
+      reconnection.current.timer = null;
+      setConnectionStatus(`Reconnecting (attempt ${attempt} of ${RECONNECT_ATTEMPTS})...`);
+      connectToDevice(device, { isReconnect: true });
+    }, delay);
+  };
 
-      // Write our public key to handshake characteristic
-      const pubKeyStr = base64.encode(String.fromCharCode(...ephemeralKeyPair.current.publicKey));
-      await handshakeChar.current.writeWithResponse(pubKeyStr);
+  // Stop watching the link, e.g. because the user disconnected on purpose
+  const stopReconnecting = () => {
+    const { subscription, timer } = reconnection.current;
+    subscription?.remove();
+    clearTimeout(timer);
+    reconnection.current = { subscription: null, timer: null, attempt: 0 };
+    setReconnectAttempt(0);
+  };
 
-      // Read peer public key from handshake characteristic
-      const peerPubChar = await handshakeChar.current.read();
-      if (!peerPubChar?.value) {
-        throw new Error('Failed to read peer public key');
+  // Wire session events into component state
+  const createSession = (transport, device) => {
+    const newSession = new SenderSession(transport, {
+      identity: identity.current,
+      trustStore,
+      peerId: device.id,
+      pairing: pairing && device.name === pairing.name ? pairing : null,
+    });
+    newSession.on('secure', (code, peerInfo) => {
+      setSas(code);
+      setPeer(peerInfo);
+    });
+    // A pinned receiver presented a different identity key: it may be an impostor
+    newSession.on('identityChanged', ({ fingerprint }) =>
+      Alert.alert(
+        'Receiver identity changed',
+        `This receiver's identity key is not the one you verified before (now ${fingerprint}). ` +
+          'Only continue if the verification codes match.'
+      )
+    );
+    newSession.on('verified', () => {
+      // The receiver is pinned now, and its pairing token is spent
+      if (newSession.isPaired) {
+        setPairing(null);
       }
-      const peerPubKeyStr = base64.decode(peerPubChar.value);
-      const peerPubKeyUint8 = Uint8Array.from(peerPubKeyStr, (c) => c.charCodeAt(0));
-
-      // Derive shared secret using nacl.box.before
-      sharedSecret.current = nacl.box.before(peerPubKeyUint8, ephemeralKeyPair.current.secretKey);
+      setIsVerified(true);
+      setConnectionStatus('Connected');
+      if (reconnection.current.attempt > 0) {
+        reconnection.current.attempt = 0;
+        setReconnectAttempt(0);
+      }
+      // Carry on with the queue, including an item a drop or rekey cut off
+      processQueue();
+    });
+    // Keys or verification codes did not match: drop the connection
+    newSession.on('handshakeFailed', (err) =>
+      abortConnection(device, err.message, 'Handshake failed')
+    );
+    newSession.on('error', (err) => setError(err.message));
+    return newSession;
+  };
 
-      // Derive AES key using HKDF with SHA-256 on shared secret
-      await deriveAESKey(sharedSecret.current);
+  // Tear down session and connection, leaving the reason on screen
+  const abortConnection = async (device, message, status) => {
+    stopReconnecting();
+    setError(message);
+    setConnectionStatus(status);
+    setSas(null);
+    setPeer(null);
+    setIsVerified(false);
+    await session.current?.close();
+    session.current = null;
+    try {
+      await manager.cancelDeviceConnection(device.id);
+    } catch (err) {
+      // ignore
+    }
+    setConnectedDevice(null);
+  };
 
+  // Perform key exchange over handshake characteristic; the queue waits until both users have
+  // confirmed the verification code
+  const performKeyExchange = async (device) => {
+    try {
+      await session.current.start();
+      if (needsComparison(session.current?.trust)) {
+        setConnectionStatus('Compare verification code');
+      }
     } catch (err) {
-      setError('Key exchange error: ' + err.message);
-      setConnectionStatus('Disconnected');
-      if (connectedDevice) {
-        await manager.cancelDeviceConnection(connectedDevice.id);
-        setConnectedDevice(null);
+      // connectToDevice reconnects a link lost on the way
+      if (isLinkLoss(err)) {
+        throw err;
+      }
+      // Handshake failures are already handled through the session's handshakeFailed event
+      if (!err.message.startsWith('Handshake failed')) {
+        await abortConnection(device, 'Key exchange error: ' + err.message, 'Disconnected');
       }
     }
   };
 
-  // Derive AES-GCM key from shared secret using HKDF with SHA-256
-  const deriveAESKey = async (sharedSecretUint8) => {
+  // The user compared the verification codes shown on both devices
+  const confirmSas = async (matches) => {
+    if (matches) {
+      setConnectionStatus('Waiting for receiver to confirm code...');
+    }
     try {
-      // Convert Uint8Array to hex string
-      const sharedSecretHex = Buffer.from(sharedSecretUint8).toString('hex');
+      await session.current?.confirmSas(matches);
+    } catch (err) {
+      setError('Verification error: ' + err.message);
+    }
+  };
 
-      // Use crypto-js SHA256 as HKDF extract and expand (simplified)
-      const hash = sha256(sharedSecretHex).toString();
+  const refreshQueue = async () =>
+    setQueueItems((await transferQueue.items()).map((item) => ({ ...item })));
 
-      // Use first 32 bytes (64 hex chars) as AES key (256 bits)
-      const aesKeyHex = hash.slice(0, 64);
+  useEffect(() => {
+    refreshQueue().catch((err) => setError('Queue error: ' + err.message));
+  }, []);
 
-      aesKey.current = aesKeyHex;
-    } catch (err) {
-      setError('AES key derivation error: ' + err.message);
+  // Add a selection to the end of the queue; it goes as soon as it is its turn
+  const queueFiles = async (files) => {
+    if (!files.length) {
+      throw new Error('Nothing to send in this selection');
     }
+    await transferQueue.add(files);
+    await refreshQueue();
+    processQueue();
   };
 
-  // Pick file using document picker
-  const pickFile = async () => {
+  // Pick one or more files using document picker
+  const pickFiles = async () => {
     setError(null);
     try {
-      const res = await DocumentPicker.pickSingle({
+      // Copies in the app's cache can be read in byte ranges, which content:// URIs cannot
+      const picked = await DocumentPicker.pick({
         type: DocumentPicker.types.allFiles,
+        allowMultiSelection: true,
+        copyTo: 'cachesDirectory',
       });
-      setFileInfo(res);
-      setTransferProgress(0);
+      const failed = picked.find((res) => res.copyError);
+      if (failed) {
+        throw new Error(failed.copyError);
+      }
+      // The picker may not know the size, so take it from the copy that will be sent
+      const files = await Promise.all(
+        picked.map(async (res) => {
+          const path = uriToPath(res.fileCopyUri);
+          const { size } = await RNFS.stat(path);
+          return {
+            key: res.uri,
+            name: res.name,
+            type: res.type,
+            size: Number(size),
+            path,
+            relativePath: res.name,
+            isCopy: true,
+          };
+        })
+      );
+      await queueFiles(files);
     } catch (err) {
       if (!DocumentPicker.isCancel(err)) {
         setError('File pick error: ' + err.message);
@@ -249,96 +528,240 @@ const App = () => {
     }
   };
 
-  // Read file as base64 string
-  const readFileAsBase64 = async (uri) => {
+  // Pick a whole folder; the receiver recreates it with its subfolders
+  const pickFolder = async () => {
+    setError(null);
     try {
-      const response = await fetch(uri);
-      const blob = await response.blob();
-      return await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => {
-          const base64data = reader.result.split(',')[1];
-          resolve(base64data);
-        };
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
-      });
+      const { uri } = await DocumentPicker.pickDirectory();
+      const directory = folderPath(uri);
+      await queueFiles(await listFolder(directory, directory.split('/').pop()));
     } catch (err) {
-      throw new Error('File read error: ' + err.message);
+      if (!DocumentPicker.isCancel(err)) {
+        setError('Folder pick error: ' + err.message);
+      }
     }
   };
 
-  // Split base64 string into chunks of CHUNK_SIZE bytes (approximate)
-  const chunkBase64String = (base64Str) => {
-    const chunks = [];
-    let index = 0;
-    while (index < base64Str.length) {
-      chunks.push(base64Str.slice(index, index + CHUNK_SIZE));
-      index += CHUNK_SIZE;
-    }
-    return chunks;
-  };
+  // Chunks are read from disk as the transfer window moves, never the whole file
+  const openFileSource = (file) =>
+    new FileSystemSource(RNFS, file.path, {
+      name: file.name,
+      mimeType: file.type,
+      size: file.size,
+    });
 
-  // Encrypt chunk with AES-GCM
-  const encryptChunk = async (chunkBase64) => {
+  const updateFileStatus = (key, changes) =>
+    setFileStatus((status) => ({ ...status, [key]: { ...status[key], ...changes } }));
+
+  // Send queued items one after another while a verified receiver is connected, first telling
+  // it about any transfers cancelled while it was away
+  const processQueue = async () => {
+    if (queueRunning.current) {
+      return;
+    }
+    queueRunning.current = true;
     try {
-      // Generate random IV (12 bytes)
-      const iv = await AES.randomKey(12);
-      // Encrypt chunkBase64 (string) with AES-GCM using aesKey.current (hex)
-      const cipher = await AES.encrypt(chunkBase64, aesKey.current, iv, 'aes-256-gcm');
-      // Return iv + cipher concatenated as base64 string
-      return iv + cipher;
+      for (;;) {
+        const activeSession = session.current;
+        if (!activeSession?.isVerified) {
+          return;
+        }
+        await sendAborts(activeSession);
+        const item = await transferQueue.next();
+        if (!item || !(await transferItem(activeSession, item))) {
+          return;
+        }
+      }
     } catch (err) {
-      throw new Error('Encryption error: ' + err.message);
+      setError('Queue error: ' + err.message);
+    } finally {
+      queueRunning.current = false;
     }
   };
 
-  // Send encrypted chunks sequentially with ACK handling
-  const sendFileChunks = async () => {
-    if (!fileInfo) {
-      setError('No file selected');
-      return;
-    }
-    if (!connectedDevice || !transferChar.current) {
-      setError('No connected device or transfer characteristic');
-      return;
-    }
-    if (!aesKey.current) {
-      setError('Encryption key not established');
-      return;
+  // Have the receiver delete what it kept of cancelled transfers
+  const sendAborts = async (activeSession) => {
+    for (const manifest of [...(await transferQueue.aborts())]) {
+      await activeSession.sendAbort(manifest);
+      await transferQueue.abortSent(manifest.transferId);
     }
+  };
+
+  // Send the files of a queued item the receiver does not have yet as one batch, resuming the
+  // one an earlier attempt was cut off in. A file that fails is marked and the rest still go.
+  // Returns whether the queue can go on to the next item.
+  const transferItem = async (activeSession, item) => {
     setError(null);
+    setFileStatus({});
     setTransferProgress(0);
-
+    setThroughput(null);
+    const update = async (changes) => {
+      await transferQueue.update(item.id, changes);
+      await refreshQueue();
+    };
+    const { interrupted } = item;
+    const pending = item.files.filter((file) => !item.delivered.includes(file.relativePath));
+    const missing = await findMissingCopy(pending);
+    if (missing) {
+      const message =
+        `The copy of ${missing.relativePath} was removed from the app's cache; ` +
+        'pick the file again to send it';
+      await update({ state: QUEUE_FAILED, error: message });
+      await deleteCopies(item.files);
+      setError(message);
+      return true;
+    }
+    await update({ state: QUEUE_SENDING, error: null });
+    const entries = pending.map((file) => ({
+      file: openFileSource(file),
+      path: file.relativePath,
+      resume: interrupted?.path === file.relativePath ? interrupted.manifest : null,
+    }));
+    const subscriptions = [
+      activeSession.on('manifest', (manifest) => {
+        const file = pending.find((candidate) => candidate.relativePath === manifest.path);
+        update({ interrupted: { path: manifest.path, manifest } });
+        updateFileStatus(file.key, { state: 'sending', progress: 0 });
+        sending.current = { manifest, startedAt: Date.now() };
+        setThroughput(null);
+      }),
+      activeSession.on('batchProgress', ({ index, percent, overall }) => {
+        setTransferProgress(overall);
+        updateFileStatus(pending[index].key, { progress: percent });
+        const { manifest, startedAt } = sending.current;
+        setThroughput({
+          ...transferRates(manifest, percent, Date.now() - startedAt),
+          compressed: manifest.compression !== undefined,
+        });
+      }),
+      activeSession.on('fileSent', ({ index, path }) => {
+        update({ delivered: [...item.delivered, path], interrupted: null });
+        updateFileStatus(pending[index].key, { state: 'completed', progress: 100 });
+      }),
+      activeSession.on('fileFailed', ({ index, error: err }) =>
+        updateFileStatus(
+          pending[index].key,
+          isRejection(err) ? { state: 'rejected' } : { state: 'failed', error: err.message }
+        )
+      ),
+    ];
     try {
-      const base64Data = await readFileAsBase64(fileInfo.uri);
-      const chunks = chunkBase64String(base64Data);
+      const results = await activeSession.sendBatch(entries);
 
-      for (let i = 0; i < chunks.length; i++) {
-        const encryptedChunk = await encryptChunk(chunks[i]);
-        const encryptedChunkBase64 = base64.encode(encryptedChunk);
+      const failures = results.filter((result) => result.error).length;
+      const rejections = results.filter((result) => result.error && isRejection(result.error));
+      const summary = [
+        `${results.length - failures} of ${results.length} files sent`,
+        rejections.length && `${rejections.length} rejected by the receiver`,
+        failures > rejections.length && `${failures - rejections.length} failed`,
+      ]
+        .filter(Boolean)
+        .join(', ');
+      await update({
+        state: !failures
+          ? QUEUE_COMPLETED
+          : rejections.length === results.length
+            ? QUEUE_REJECTED
+            : QUEUE_FAILED,
+        // Delivered files cleared it already; a file that failed may still be resumed
+        error: failures ? summary : null,
+      });
+      await deleteCopies(item.files);
+      Alert.alert(
+        'File transfer',
+        failures ? `${itemLabel(item)}: ${summary}.` : `${itemLabel(item)} sent successfully.`
+      );
+      return true;
+    } catch (err) {
+      // Paused or cancelled from the queue, which already has the item's new state
+      if (err.code === ERROR_PAUSED) {
+        return true;
+      }
+      // The receiver's user or policy turned the whole item down
+      if (isRejection(err)) {
+        await update({ state: QUEUE_REJECTED, interrupted: null });
+        await deleteCopies(item.files);
+        return true;
+      }
+      if (err.code === ERROR_REKEY_REQUIRED) {
+        await update({ state: QUEUE_QUEUED });
+        await renewKeys();
+        return false;
+      }
+      // The link dropped or we disconnected: the item goes again, resuming where it stopped,
+      // once a receiver is verified
+      const linkLost =
+        isLinkLoss(err) ||
+        session.current !== activeSession ||
+        !(await manager.isDeviceConnected(activeSession.peerId).catch(() => false));
+      if (linkLost) {
+        await update({ state: QUEUE_QUEUED });
+        return false;
+      }
+      // Includes running out of retries when the receiver stops acknowledging
+      await update({ state: QUEUE_FAILED, error: err.message });
+      await deleteCopies(item.files);
+      setError('File transfer error: ' + err.message);
+      return false;
+    } finally {
+      subscriptions.forEach((unsubscribe) => unsubscribe());
+    }
+  };
 
-        // Wait for previous ACK
-        while (!ackReceived.current) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
-        }
-        ackReceived.current = false;
+  // Stopping the item being sent keeps what the receiver has, so resuming carries on from there
+  const pauseItem = async (id) => {
+    const { state } = await transferQueue.find(id);
+    await transferQueue.pause(id);
+    await refreshQueue();
+    if (state === QUEUE_SENDING) {
+      await session.current?.pauseTransfer();
+    }
+  };
 
-        // Write encrypted chunk to transfer characteristic (without response to speed up)
-        await transferChar.current.writeWithoutResponse(encryptedChunkBase64);
+  const resumeItem = async (id) => {
+    await transferQueue.resume(id);
+    await refreshQueue();
+    processQueue();
+  };
 
-        setTransferProgress(Math.round(((i + 1) / chunks.length) * 100));
-      }
+  // Drop an item from the queue. The receiver deletes any file of it left half sent, now if it
+  // is connected or else the next time it is.
+  const cancelItem = async (id) => {
+    const { state, files } = await transferQueue.find(id);
+    if (state === QUEUE_SENDING) {
+      await session.current?.pauseTransfer();
+    }
+    await transferQueue.cancel(id);
+    await deleteCopies(files);
+    await refreshQueue();
+    processQueue();
+  };
 
-      Alert.alert('File transfer', 'File transfer completed successfully.');
+  const moveItem = async (id, offset) => {
+    await transferQueue.move(id, offset);
+    await refreshQueue();
+  };
+
+  // These keys have protected as many chunks as allowed: run a fresh key exchange. Pinned
+  // receivers are verified again automatically; others need the codes compared once more.
+  const renewKeys = async () => {
+    setIsVerified(false);
+    setSas(null);
+    setConnectionStatus('Renewing keys');
+    setError('Session keys used up, renewing them. The queue carries on once verified.');
+    try {
+      await session.current.rekey();
     } catch (err) {
-      setError('File transfer error: ' + err.message);
+      setError('Rekey failed: ' + err.message);
     }
   };
 
   // Cleanup on unmount
   useEffect(() => {
     return () => {
+      reconnection.current.subscription?.remove();
+      clearTimeout(reconnection.current.timer);
+      session.current?.close();
       manager.destroy();
     };
   }, [manager]);
@@ -346,15 +769,21 @@ const App = () => {
   // Disconnect device
   const disconnectDevice = async () => {
     if (connectedDevice) {
+      stopReconnecting();
       try {
         await manager.cancelDeviceConnection(connectedDevice.id);
       } catch (err) {
         // ignore
       }
+      await session.current?.close();
+      session.current = null;
+      setSas(null);
+      setPeer(null);
+      setIsVerified(false);
       setConnectedDevice(null);
       setConnectionStatus('Disconnected');
       setDevices([]);
-      setFileInfo(null);
+      setFileStatus({});
       setTransferProgress(0);
       setError(null);
     }
@@ -367,7 +796,10 @@ const App = () => {
       onPress={() => connectToDevice(item)}
       disabled={!!connectedDevice}
     >
-      <Text style={styles.deviceName}>{item.name}</Text>
+      <Text style={styles.deviceName}>
+        {item.name}
+        {pairing && item.name === pairing.name ? ' (paired)' : ''}
+      </Text>
       <Text style={styles.deviceId}>{item.id}</Text>
     </TouchableOpacity>
   );
@@ -383,46 +815,129 @@ const App = () => {
           disabled={isScanning || !!connectedDevice}
         />
         {isScanning && <ActivityIndicator style={{ marginTop: 8 }} />}
+        <Button
+          title={isScanningCode ? 'Cancel Pairing Scan' : 'Scan Pairing Code'}
+          onPress={isScanningCode ? () => setIsScanningCode(false) : scanPairingCode}
+          disabled={!!connectedDevice}
+        />
+        {isScanningCode && camera && (
+          <Camera
+            style={styles.camera}
+            device={camera}
+            isActive={isScanningCode}
+            codeScanner={codeScanner}
+          />
+        )}
       </View>
 
       <View style={styles.section}>
         <Text style={styles.status}>Status: {connectionStatus}</Text>
+        {reconnectAttempt > 0 && <ActivityIndicator style={{ marginVertical: 8 }} />}
         {connectedDevice && (
-          <Button title="Disconnect" onPress={disconnectDevice} color="red" />
+          <Button
+            title={reconnectAttempt > 0 ? 'Stop Reconnecting' : 'Disconnect'}
+            onPress={disconnectDevice}
+            color="red"
+          />
         )}
       </View>
 
+      {peer?.trust === TRUST_CHANGED && !isVerified && (
+        <View style={styles.section}>
+          <Text style={styles.warning}>
+            Warning: this receiver's identity key has changed since you last verified it.
+          </Text>
+        </View>
+      )}
+
+      {sas && !isVerified && needsComparison(peer?.trust) && (
+        <View style={styles.section}>
+          <Text style={styles.subtitle}>Verification code:</Text>
+          <Text style={styles.sas}>{sas}</Text>
+          <Text style={styles.fileInfo}>Check that the receiver shows the same code.</Text>
+          <Text style={styles.deviceId}>Receiver fingerprint: {peer?.fingerprint}</Text>
+          <Button title="Codes match" onPress={() => confirmSas(true)} />
+          <Button title="Codes differ" onPress={() => confirmSas(false)} color="red" />
+        </View>
+      )}
+
       <View style={styles.section}>
         <Text style={styles.subtitle}>Available Devices:</Text>
         <FlatList
           data={devices}
           keyExtractor={(item) => item.id}
           renderItem={renderDeviceItem}
-          extraData={connectedDevice}
+          extraData={[connectedDevice, pairing]}
           style={styles.deviceList}
         />
       </View>
 
       <View style={styles.section}>
-        <Button
-          title="Pick File"
-          onPress={pickFile}
-          disabled={!connectedDevice}
-        />
-        {fileInfo && (
-          <Text style={styles.fileInfo}>
-            Selected File: {fileInfo.name} ({(fileInfo.size / 1024).toFixed(2)} KB)
-          </Text>
-        )}
+        <Button title="Queue Files" onPress={pickFiles} />
+        <Button title="Queue Folder" onPress={pickFolder} />
       </View>
 
       <View style={styles.section}>
-        <Button
-          title="Send File"
-          onPress={sendFileChunks}
-          disabled={!fileInfo || !connectedDevice}
-        />
-        <Text style={styles.progress}>Progress: {transferProgress}%</Text>
+        <Text style={styles.subtitle}>Queue:</Text>
+        {!queueItems.length && <Text style={styles.fileInfo}>Nothing queued</Text>}
+        {queueItems.map((item, position) => (
+          <View key={item.id} style={styles.queueItem}>
+            <Text style={styles.fileInfo}>
+              {itemLabel(item)} -{' '}
+              {item.state === QUEUE_SENDING
+                ? `${transferProgress}%`
+                : item.state === QUEUE_REJECTED
+                  ? 'rejected by receiver'
+                  : item.state}
+              {item.error ? `: ${item.error}` : ''}
+              {item.state === QUEUE_QUEUED && item.interrupted ? ' (resumes)' : ''}
+            </Text>
+            {item.state === QUEUE_SENDING && throughput && (
+              <Text style={styles.deviceId}>
+                Speed: {formatRates(throughput, throughput.compressed)}
+              </Text>
+            )}
+            {item.state === QUEUE_SENDING &&
+              item.files.length > 1 &&
+              item.files.map((file) => {
+                const status = item.delivered.includes(file.relativePath)
+                  ? { state: 'completed' }
+                  : fileStatus[file.key];
+                return (
+                  <Text key={file.key} style={styles.deviceId}>
+                    {file.relativePath} ({(file.size / 1024).toFixed(2)} KB)
+                    {status ? ` - ${status.state === 'sending' ? `${status.progress}%` : status.state}` : ''}
+                    {status?.error ? `: ${status.error}` : ''}
+                  </Text>
+                );
+              })}
+            <View style={styles.queueButtons}>
+              {[QUEUE_PAUSED, QUEUE_FAILED, QUEUE_REJECTED].includes(item.state) ? (
+                <Button title="Resume" onPress={() => resumeItem(item.id)} />
+              ) : (
+                <Button
+                  title="Pause"
+                  onPress={() => pauseItem(item.id)}
+                  disabled={item.state === QUEUE_COMPLETED}
+                />
+              )}
+              <Button
+                title={item.state === QUEUE_COMPLETED ? 'Remove' : 'Cancel'}
+                onPress={() => cancelItem(item.id)}
+                color="red"
+              />
+              <Button title="Up" onPress={() => moveItem(item.id, -1)} disabled={position === 0} />
+              <Button
+                title="Down"
+                onPress={() => moveItem(item.id, 1)}
+                disabled={position === queueItems.length - 1}
+              />
+            </View>
+          </View>
+        ))}
+        {!isVerified && queueItems.some((item) => item.state === QUEUE_QUEUED) && (
+          <Text style={styles.progress}>Queued transfers start once a receiver is verified.</Text>
+        )}
       </View>
 
       {error && (
@@ -485,10 +1000,38 @@ const styles = StyleSheet.create({
     marginTop: 6,
     fontSize: 16,
   },
+  sas: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    letterSpacing: 6,
+    textAlign: 'center',
+    marginVertical: 6,
+  },
   error: {
     color: 'red',
     fontWeight: 'bold',
   },
+  camera: {
+    height: 240,
+    marginTop: 8,
+  },
+  queueItem: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  queueButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  warning: {
+    color: 'white',
+    backgroundColor: '#c62828',
+    fontWeight: 'bold',
+    padding: 8,
+    borderRadius: 6,
+  },
 });
 
 export default App;